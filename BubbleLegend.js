@@ -10,16 +10,26 @@ var Series = H.Series,
     Chart = H.Chart,
 
     addEvent = H.addEvent,
+    doc = H.doc,
+    fireEvent = H.fireEvent,
     wrap = H.wrap,
     each = H.each,
     objectEach = H.objectEach,
     merge = H.merge,
+    extend = H.extend,
+    isObject = H.isObject,
+    isString = H.isString,
     noop = H.noop,
     pick = H.pick,
+    color = H.color,
+    isNumber = H.isNumber,
     stableSort = H.stableSort,
     setOptions = H.setOptions,
     arrayMin = H.arrayMin,
-    arrayMax = H.arrayMax;
+    arrayMax = H.arrayMax,
+    correctFloat = H.correctFloat,
+    getMagnitude = H.getMagnitude,
+    defaultOptions = H.defaultOptions;
 
 setOptions({  // Set default bubble legend options
     legend: {
@@ -28,6 +38,8 @@ setOptions({  // Set default bubble legend options
        * the scale of the bubble series. Individual bubble ranges can be
        * defined by user or calculated from series. In the case of
        * automatically calculated ranges, a 1px margin of error is permitted.
+       * Bubble series can also get their own bubble legend through the
+       * [series.bubbleLegend](#plotOptions.bubble.bubbleLegend) option.
        * Requires `highcharts-more.js`.
        *
        * @product      highcharts highstock highmaps
@@ -35,6 +47,48 @@ setOptions({  // Set default bubble legend options
        * @since 7.0.0
        */
         bubbleLegend: {
+            /**
+             * Options for the text alternative of the bubble legend, read by
+             * screen readers. By default, it is generated from the range
+             * labels with the [lang.bubbleLegendDescription](
+             * #lang.bubbleLegendDescription) format.
+             */
+            accessibility: {
+                /**
+                 * A text description of the bubble legend, replacing the
+                 * generated one.
+                 * @type {String}
+                 */
+                description: undefined,
+                /**
+                 * A callback function returning the description of the
+                 * bubble legend. The bubble legend is available as `this`,
+                 * with its `ranges`.
+                 * @type {Function}
+                 */
+                descriptionFormatter: undefined
+            },
+            /**
+             * Whether to animate bubbles, connectors and labels of the bubble
+             * legend to new ranges when the chart is redrawn, for example
+             * after data changes or toggling a series. The animation follows
+             * the chart animation settings.
+             */
+            animation: true,
+            /**
+             * The strategy of automatically calculated range values, used
+             * when no range values are given. With `linear`, values are
+             * rounded and evenly spaced between the Z extremes. With
+             * `quantile`, values are percentiles of the Z values, which suits
+             * skewed data. With `log`, values are powers of ten. A callback
+             * function receives the Z values of the presented points and
+             * returns an array of range values. Given `ranges` options, like
+             * colors, are applied to the calculated ranges in ascending value
+             * order.
+             * @validvalue ["linear", "quantile", "log"]
+             * @type {String|Function}
+             */
+            autoRanges: 'linear',
             /**
              * The color of the ranges borders, can be also defined for an
              * individual range.
@@ -54,6 +108,15 @@ setOptions({  // Set default bubble legend options
              * An additional class name to apply to the bubble legend' circle
              * graphical elements. This option does not replace default class
              * names of the graphical element.
+             *
+             * In styled mode the bubbles, connectors and labels have the
+             * `highcharts-bubble-scale-bubbles`,
+             * `highcharts-bubble-scale-connectors` and
+             * `highcharts-bubble-scale-labels` class names. Elements of each
+             * range also have the `highcharts-bubble-legend-range-{n}` class
+             * name, starting from the biggest bubble, and the
+             * `highcharts-negative` and `highcharts-bubble-legend-range-hidden`
+             * class names when applicable.
              */
             className: undefined,
             /**
@@ -66,6 +129,38 @@ setOptions({  // Set default bubble legend options
              *         Individual bubble color
              */
             color: 'rgba(124, 181, 236, 0.5)',
+            /**
+             * Link the bubble legend to a color axis, by its index or id, or
+             * `true` for the first color axis. Reference bubbles are then
+             * filled with the color of their value on the color axis, making
+             * one legend item for both the size and the color of bubbles
+             * colored by their Z value. The link is ignored when the series
+             * is colored by another key. Set `colorAxis.showInLegend` to
+             * `false` to hide the separate color axis item. Requires the
+             * color axis module.
+             * @type {Number|String|Boolean}
+             */
+            colorAxis: undefined,
+            /**
+             * Options for the compact mode of the bubble legend, used in
+             * narrow charts. In the compact mode, only the biggest and the
+             * smallest ranges are drawn, with labels inside the bubbles and
+             * without connectors. The legend takes less space, so plotted
+             * bubbles are not made smaller to make room for it. The compact
+             * mode is disabled by default, and can also be enabled through
+             * [responsive.rules](#responsive.rules).
+             */
+            compact: {
+                /**
+                 * Enable or disable the compact mode.
+                 */
+                enabled: false,
+                /**
+                 * The chart width in pixels, under which the compact mode is
+                 * used.
+                 */
+                maxWidth: 300
+            },
             /**
              * An additional class name to apply to the bubble legend'
              * connector graphical elements. This option does not replace
@@ -77,6 +172,16 @@ setOptions({  // Set default bubble legend options
              * for an individual range.
              */
             connectorColor: '#058DC7',
+            /**
+             * The dash style of the connectors, for example `Dash` or
+             * `ShortDot`. See
+             * [plotOptions.series.dashStyle](#plotOptions.series.dashStyle)
+             * for possible values.
+             * @validvalue ["Solid", "ShortDash", "ShortDot", "ShortDashDot",
+             *              "ShortDashDotDot", "Dot", "Dash" ,"LongDash",
+             *              "DashDot", "LongDashDot", "LongDashDotDot"]
+             */
+            connectorDashStyle: 'Solid',
             /**
              * The length of the connectors in pixels. If labels are centered,
              * the distance is reduced to 0.
@@ -85,6 +190,22 @@ setOptions({  // Set default bubble legend options
              *         Increased connector length
              */
             connectorDistance: 60,
+            /**
+             * A marker drawn at the label end of the connectors. Can be `dot`
+             * or `tick`. By default no marker is drawn.
+             * @validvalue ["dot", "tick"]
+             * @type {String}
+             */
+            connectorMarker: undefined,
+            /**
+             * The shape of the connectors. A `straight` connector goes from
+             * the bubble top to the label. An `elbow` connector goes
+             * horizontally, then vertically and horizontally again, so the
+             * labels are evenly spaced in a column even when bubble tops are
+             * close together.
+             * @validvalue ["straight", "elbow"]
+             */
+            connectorShape: 'straight',
             /**
              * The width of the connectors in pixels.
              * @sample highcharts/bubblelegend/connectorandlabels/
@@ -95,6 +216,101 @@ setOptions({  // Set default bubble legend options
              * Enable or disable the bubble legend.
              */
             enabled: false,
+            /**
+             * Event handlers for the bubble legend ranges. A range band
+             * spans from the range value to the value of the next bigger
+             * range.
+             */
+            events: {
+                /**
+                 * Fires when a range bubble or label is clicked. One
+                 * parameter, `event`, is passed to the function, containing
+                 * the `range`, the `from` and `to` values of the range band
+                 * and the bubble `points` in the band. The default action is
+                 * to toggle the visibility of these points. Returning `false`
+                 * prevents the default action.
+                 * @type {Function}
+                 */
+                rangeClick: undefined,
+                /**
+                 * Fires when the mouse enters a range bubble or label. The
+                 * `event` parameter is the same as in the `rangeClick`
+                 * callback. The default action is to highlight the points in
+                 * the range band and dim other points. Returning `false`
+                 * prevents the default action.
+                 * @type {Function}
+                 */
+                rangeMouseOver: undefined
+            },
+            /**
+             * Options for the size filter of the bubble legend. Two handles
+             * are drawn on the bubble legend scale, dragging them sets the
+             * minimum and the maximum Z value of visible bubbles. The filter
+             * is available in the nested layout, for bubbles not sized by
+             * absolute value. Handles can be dragged with mouse or touch, and
+             * the filter is cleared with the `resetFilter` method of the
+             * bubble legend.
+             */
+            filter: {
+                /**
+                 * Enable or disable the size filter.
+                 */
+                enabled: false,
+                /**
+                 * The color of the filter handles.
+                 * @type {Color}
+                 */
+                handleColor: '#333333',
+                /**
+                 * The minimum interval in milliseconds between chart redraws
+                 * while a handle is dragged.
+                 */
+                redrawInterval: 50,
+                /**
+                 * Whether to use the filter values as the Z extremes of the
+                 * bubble series while a handle is dragged, instead of the
+                 * `zMin` and `zMax` options, so the visible bubbles use the
+                 * whole size range. The series options are not changed. The
+                 * scale of the bubble legend follows these extremes after
+                 * the handle is dropped, so the filter can only narrow the
+                 * visible values further until it is reset.
+                 */
+                updateExtremes: false
+            },
+            /**
+             * Options for a floating bubble legend. A floating bubble legend
+             * is drawn inside the plot area, like a scale bar on a map,
+             * instead of in the legend box. It is rendered even when the
+             * legend is disabled, and no space is reserved for it.
+             */
+            floating: {
+                /**
+                 * Enable or disable the floating bubble legend.
+                 */
+                enabled: false,
+                /**
+                 * The horizontal alignment of the bubble legend within the
+                 * plot area.
+                 * @validvalue ["left", "center", "right"]
+                 */
+                align: 'right',
+                /**
+                 * The vertical alignment of the bubble legend within the
+                 * plot area.
+                 * @validvalue ["top", "middle", "bottom"]
+                 */
+                verticalAlign: 'bottom',
+                /**
+                 * The x offset of the bubble legend relative to its
+                 * horizontal alignment within the plot area.
+                 */
+                x: -10,
+                /**
+                 * The y offset of the bubble legend relative to its vertical
+                 * alignment within the plot area.
+                 */
+                y: -10
+            },
             /**
              * Options for the bubble legend labels.
              */
@@ -111,12 +327,48 @@ setOptions({  // Set default bubble legend options
                 allowOverlap: false,
                 /**
                  * The alignment of the labels compared to the bubble legend.
-                 * Can be one of `left`, `center` or `right`.
-                 * @validvalue ["left", "center", "right"]
+                 * Can be one of `left`, `center` or `right`, or a placement
+                 * which needs no connectors: `inside-top` draws labels just
+                 * inside the top edge of each bubble and `above` draws them
+                 * just above each bubble. In the nested layout, `above` falls
+                 * back to `inside-top`. In the `vertical` layout, `center`
+                 * labels are placed on the right of the bubbles. In RTL
+                 * legends `left` and `right` are mirrored, as is the title
+                 * alignment.
+                 * @validvalue ["left", "center", "right", "inside-top",
+                 *              "above"]
                  * @sample highcharts/bubblelegend/connectorandlabels/
                  *         Labels on left
                  */
                 align: 'right',
+                /**
+                 * How many decimals to show in the labels. Defaults to the
+                 * `valueDecimals` of the bubble series tooltip, if not set
+                 * there, values of the `compact` format are rounded to three
+                 * significant digits.
+                 * @type {Number}
+                 */
+                decimals: undefined,
+                /**
+                 * The number format of the labels when no `format` or
+                 * `formatter` is given. With `compact`, large values are
+                 * shortened with [lang.numericSymbols](#lang.numericSymbols),
+                 * like 10k or 1.5M. With `full`, the whole value is shown
+                 * with thousands separators.
+                 * @validvalue ["compact", "full"]
+                 */
+                numberFormat: 'compact',
+                /**
+                 * How to handle labels of the nested layout colliding with
+                 * each other. With `hide`, colliding labels and their
+                 * connectors are hidden. With `alternate`, colliding labels
+                 * are placed on the opposite side of the bubbles. With
+                 * `stagger`, colliding labels are moved down and their
+                 * connectors are angled. Labels still colliding are hidden,
+                 * unless `allowOverlap` is enabled.
+                 * @validvalue ["hide", "alternate", "stagger"]
+                 */
+                overlap: 'hide',
                 /**
                  * CSS styles for the labels.
                  * @type {CSSObject}
@@ -128,6 +380,18 @@ setOptions({  // Set default bubble legend options
                      */
                     color: '#000000'
                 },
+                /**
+                 * A string to prepend to each label value. Defaults to the
+                 * `valuePrefix` of the bubble series tooltip.
+                 * @type {String}
+                 */
+                valuePrefix: undefined,
+                /**
+                 * A string to append to each label value. Defaults to the
+                 * `valueSuffix` of the bubble series tooltip.
+                 * @type {String}
+                 */
+                valueSuffix: undefined,
                 /**
                  * The x position offset of the label relative to the
                  * connector.
@@ -139,6 +403,24 @@ setOptions({  // Set default bubble legend options
                  */
                 y: 0
             },
+            /**
+             * The layout of the bubble legend ranges. By default ranges are
+             * nested, drawn as concentric bubbles sharing the bottom edge
+             * with labels pointed by connectors. In the `horizontal` and
+             * `vertical` layouts each range is drawn as a separate bubble in
+             * a row or in a column, with its label below or beside it.
+             * @validvalue ["nested", "horizontal", "vertical"]
+             */
+            layout: 'nested',
+            /**
+             * How the bubble legend shares the lines of a horizontal legend.
+             * In the `shared` mode it is laid out in a line with other legend
+             * items. In the `own` mode it takes a whole line. In the `span`
+             * mode it starts a line and the following legend items are laid
+             * out in rows beside it, until the rows reach its bottom.
+             * @validvalue ["shared", "own", "span"]
+             */
+            lineMode: 'shared',
             /**
              * Miximum bubble legend range size. If values for ranges are not
              * specified, the `minSize` and the `maxSize` are calculated from
@@ -157,6 +439,45 @@ setOptions({  // Set default bubble legend options
              *         Bubble legend as last item in legend
              */
             position: 0, // Number
+            /**
+             * The distance in pixels between ranges, and between a bubble
+             * and its label, in the `horizontal` and `vertical` layouts. In
+             * the nested layout, it is the distance between positive and
+             * negative bubbles when they are split.
+             */
+            rangeDistance: 10,
+            /**
+             * The maximum number of automatically calculated ranges. Values
+             * of the ranges are rounded, the same way as axis ticks, and fall
+             * inside the extremes of the bubble series Z data.
+             */
+            rangesCount: 3,
+            /**
+             * Which points are used to calculate automatic ranges. With
+             * `all`, all points of the bubble series are used. With
+             * `visible`, only points inside the current axis extremes are
+             * used, so the ranges follow the zoomed subset. Defaults to the
+             * [zExtremesFrom](#plotOptions.bubble.zExtremesFrom) option of
+             * the bubble series, so ranges match the bubble sizes.
+             * @validvalue ["all", "visible"]
+             * @type {String}
+             */
+            rangesFrom: undefined,
+            /**
+             * Whether to scale the reference bubbles with the map zoom. Use
+             * it in map charts when bubbles are sized in map units, so they
+             * grow when the map is zoomed in. The scale is the ratio of the
+             * full map width to the currently visible width.
+             */
+            scaleWithMapZoom: false,
+            /**
+             * The color of ranges with lower value than the
+             * [zThreshold](#legend.bubbleLegend.zThreshold). Defaults to the
+             * [negativeColor](#plotOptions.bubble.negativeColor) of the
+             * bubble series.
+             * @type {Color}
+             */
+            negativeColor: undefined,
             /**
              * Options for specific range. One range consists of bubble, label
              * and connector.
@@ -202,18 +523,90 @@ setOptions({  // Set default bubble legend options
              * of the bubble. This means that with the default zThreshold of 0,
              * a bubble of value -1 will have the same size as a bubble of
              * value 1, while a bubble of value 0 will have a smaller size
-             * according to minSize.
+             * according to minSize. Defaults to the
+             * [sizeByAbsoluteValue](#plotOptions.bubble.sizeByAbsoluteValue)
+             * of the bubble series.
+             * @type {Boolean}
+             */
+            sizeByAbsoluteValue: undefined,
+            /**
+             * Whether to split ranges with lower value than the
+             * [zThreshold](#legend.bubbleLegend.zThreshold) from the other
+             * ones in the nested layout. The negative bubbles are then drawn
+             * beside the positive ones, mirrored, with connectors and labels
+             * on the opposite side.
+             */
+            splitNegative: false,
+            /**
+             * The title of the bubble legend, drawn above the bubbles, which
+             * describes what the bubble size stands for.
              */
-            sizeByAbsoluteValue: false,
+            title: {
+                /**
+                 * The alignment of the title in the bubble legend. Can be one
+                 * of `left`, `center` or `right`.
+                 * @validvalue ["left", "center", "right"]
+                 */
+                align: 'left',
+                /**
+                 * CSS styles for the title.
+                 * @type {CSSObject}
+                 */
+                style: {
+                    /**
+                     * @type {Color}
+                     */
+                    color: '#000000',
+                    fontSize: '12px',
+                    fontWeight: 'bold'
+                },
+                /**
+                 * The title text, for example the name and the unit of the
+                 * bubble series Z values.
+                 * @type {String}
+                 */
+                text: undefined
+            },
             /**
              * Define the visual z index of the bubble legend.
              */
             zIndex: 1,
             /**
-             * Ranges with with lower value than zThreshold, are skipped.
+             * Ranges with with lower value than zThreshold are drawn with the
+             * [negativeColor](#legend.bubbleLegend.negativeColor), or skipped
+             * when the `displayNegative` option of the bubble series is
+             * `false`. Defaults to the
+             * [zThreshold](#plotOptions.bubble.zThreshold) of the bubble
+             * series.
+             * @type {Number}
              */
-            zThreshold: 0
-        }
+            zThreshold: undefined
+        },
+        /**
+         * The vertical alignment of legend items in lines of a horizontal
+         * legend, when the items differ in height, for example beside a
+         * bubble legend. The `baseline` alignment puts the bottom edge of the
+         * biggest bubble on the text baseline of other items. By default,
+         * items are moved down by half of the line height. Requires
+         * `highcharts-more.js`.
+         *
+         * @type {String}
+         * @validvalue ["top", "middle", "bottom", "baseline"]
+         * @since 7.0.0
+         */
+        itemVerticalAlign: undefined
+    },
+    lang: {
+        /**
+         * The text alternative of the bubble legend, used when no
+         * `bubbleLegend.accessibility.description` is given. The `{min}` and
+         * `{max}` are the formatted smallest and biggest range values, the
+         * `{count}` is the number of ranges.
+         *
+         * @since 7.0.0
+         */
+        bubbleLegendDescription:
+            'Bubble size: {min} to {max}, {count} reference circles'
     }
 });
 
@@ -239,22 +632,278 @@ H.BubbleLegend.prototype = {
     init: function (options, legend) {
         this.options = options;
         this.visible = true;
+
+        // Options shared by a new bubble legend are already prepared
+        if (!options.userRanges) {
+            this.setUserRanges(options.ranges);
+        }
         this.chart = legend.chart;
         this.legend = legend;
+
+        this.setEvents();
+    },
+
+    /**
+     * Register range event handlers from options, replacing the ones
+     * registered before.
+     *
+     * @private
+     */
+    setEvents: function () {
+        var bubbleLegend = this;
+
+        each(bubbleLegend.eventRemovers || [], function (removeEvent) {
+            removeEvent();
+        });
+        bubbleLegend.eventRemovers = [];
+
+        objectEach(bubbleLegend.options.events, function (event, eventType) {
+            if (event) {
+                bubbleLegend.eventRemovers.push(
+                    addEvent(bubbleLegend, eventType, event)
+                );
+            }
+        });
+    },
+
+    /**
+     * Keep the user options of ranges untouched, because calculated values
+     * and sizes are stored in `options.ranges`. Automatic ranges are merged
+     * with these options on each redraw.
+     *
+     * @param {Array} - User options of ranges
+     *
+     * @private
+     */
+    setUserRanges: function (ranges) {
+        var options = this.options;
+
+        /**
+         * Copy range options, so they are not changed with calculations.
+         */
+        function copyRanges(ranges) {
+            return H.map(ranges, function (range) {
+                return merge(range);
+            });
+        }
+
+        if (H.isArray(ranges)) {
+            options.userRanges = copyRanges(ranges);
+            options.ranges = copyRanges(ranges);
+        } else {
+            options.userRanges = [];
+        }
     },
 
     setState: noop,
 
     /**
      * Depending on the position option, add bubbleLegend to legend items.
+     * The position is counted in the displayed order, so in a reversed
+     * legend it is counted from the end of items, which are reversed later.
      *
      * @param {Array} - All legend items
      *
      * @private
      */
     addToLegend: function (items) {
+        var position = this.options.position;
+
+        if (this.legend.options.reversed) {
+            position = Math.max(items.length - position, 0);
+        }
         // Insert bubbleLegend into legend items
-        items.splice(this.options.position, 0, this);
+        items.splice(position, 0, this);
+    },
+
+    /**
+     * Update the bubble legend with new options. Ranges and sizes are
+     * calculated again, and only this legend item and the items after it are
+     * laid out again with the existing elements. When the legend size
+     * changes, the whole legend is rendered and the plot area is resized on
+     * redraw.
+     *
+     * @param {Object} options - New bubble legend options, merged with the
+     *                           existing ones
+     * @param {Boolean} [redraw=true] - Whether to redraw the chart
+     */
+    update: function (options, redraw) {
+        var bubbleLegend = this,
+            chart = bubbleLegend.chart,
+            owner = bubbleLegend.owner,
+            legendUserOptions;
+
+        // Keep the new options when the legend or the series are updated
+        if (owner) {
+            owner.userOptions.bubbleLegend = merge(
+                owner.userOptions.bubbleLegend,
+                options
+            );
+            owner.options.bubbleLegend = bubbleLegend.options.source = merge(
+                owner.options.bubbleLegend,
+                options
+            );
+        } else {
+            legendUserOptions = chart.userOptions.legend =
+                chart.userOptions.legend || {};
+            legendUserOptions.bubbleLegend = merge(
+                legendUserOptions.bubbleLegend,
+                options
+            );
+        }
+
+        merge(true, bubbleLegend.options, options);
+
+        // Automatic ranges are calculated again on redraw, unless ranges
+        // with values are given
+        if (options.ranges) {
+            bubbleLegend.setUserRanges(options.ranges);
+            bubbleLegend.options.autoRangesEnabled = !isNumber(
+                options.ranges[0] && options.ranges[0].value
+            );
+        }
+
+        if (options.events) {
+            bubbleLegend.setEvents();
+        }
+
+        // Options which add, remove or move legend items need the whole
+        // legend to be rendered
+        if (
+            H.find(
+                ['enabled', 'floating', 'position', 'lineMode', 'colorAxis'],
+                function (key) {
+                    return options[key] !== undefined;
+                }
+            ) ||
+            !bubbleLegend.relayout()
+        ) {
+            chart.isDirtyLegend = true;
+            chart.isDirtyBox = true;
+            if (pick(redraw, true)) {
+                chart.redraw();
+            }
+        }
+    },
+
+    /**
+     * Draw the bubble legend again and lay out this legend item and the items
+     * after it, starting from the layout state before the item. Earlier
+     * items keep their positions.
+     *
+     * @return {Boolean} - False if the whole legend needs to be rendered,
+     *                     because the legend size or the column width
+     *                     changes, or the item is not laid out yet
+     *
+     * @private
+     */
+    relayout: function () {
+        var bubbleLegend = this,
+            legend = bubbleLegend.legend,
+            legendOptions = legend.options,
+            items = legend.allItems || [],
+            index = H.inArray(bubbleLegend, items),
+            state = bubbleLegend.layoutState,
+            oldItemWidth = bubbleLegend.itemWidth,
+            maxItemWidth = legend.maxItemWidth,
+            alignColumns = legendOptions.alignColumns &&
+                legend.totalItemWidth > getMaxLegendWidth(legend),
+            autoRanges = bubbleLegend.options.autoRangesEnabled,
+            bubbleSizes,
+            legendWidth,
+            legendHeight;
+
+        if (bubbleLegend.isFloating()) {
+            if (!bubbleLegend.legendGroup) {
+                return false;
+            }
+            bubbleLegend.renderFloating();
+            return true;
+        }
+
+        // Columns aligned to this item change with its width, and paginated
+        // legends are laid out again as a whole
+        if (
+            index === -1 ||
+            !state ||
+            legend.clipHeight ||
+            (alignColumns && oldItemWidth === maxItemWidth)
+        ) {
+            return false;
+        }
+
+        if (autoRanges) {
+            bubbleSizes = bubbleLegend.predictBubbleSizes();
+            bubbleLegend.updateRanges(bubbleSizes[0], bubbleSizes[1]);
+        }
+
+        legend.totalItemWidth -= oldItemWidth;
+        legend.renderItem(bubbleLegend);
+        if (alignColumns && legend.maxItemWidth !== maxItemWidth) {
+            return false;
+        }
+
+        extend(legend, state);
+        each(items.slice(index), legend.layoutItem, legend);
+
+        legendWidth = (legendOptions.width || legend.offsetWidth) +
+            legend.padding;
+        legendHeight = legend.lastItemY + legend.lastLineHeight +
+            legend.titleHeight + legend.padding;
+        if (
+            legendWidth !== legend.legendWidth ||
+            legendHeight !== legend.legendHeight
+        ) {
+            return false;
+        }
+
+        each(items.slice(index), legend.positionItem, legend);
+        legend.retranslateBubbleLegends(autoRanges);
+        return true;
+    },
+
+    /**
+     * Remove the bubble legend and its elements from the legend. It is not
+     * created again on redraw, because the options of this instance are
+     * disabled. The user options of the chart and series are not changed.
+     *
+     * @param {Boolean} [redraw=true] - Whether to redraw the chart
+     */
+    destroy: function (redraw) {
+        var bubbleLegend = this,
+            chart = bubbleLegend.chart,
+            legend = bubbleLegend.legend;
+
+        bubbleLegend.options.enabled = false;
+        bubbleLegend.stopFilterDrag();
+
+        each(bubbleLegend.eventRemovers || [], function (removeEvent) {
+            removeEvent();
+        });
+        bubbleLegend.eventRemovers = [];
+
+        H.erase(legend.allItems || [], bubbleLegend);
+        H.erase(legend.bubbleLegends || [], bubbleLegend);
+        H.erase(chart.floatingBubbleLegends || [], bubbleLegend);
+        if (legend.bubbleLegend === bubbleLegend) {
+            delete legend.bubbleLegend;
+        }
+        legend.destroyItem(bubbleLegend);
+
+        chart.isDirtyLegend = true;
+        chart.isDirtyBox = true;
+        if (pick(redraw, true)) {
+            chart.redraw();
+        }
+    },
+
+    /**
+     * Alias of `destroy`.
+     *
+     * @param {Boolean} [redraw=true] - Whether to redraw the chart
+     */
+    remove: function (redraw) {
+        this.destroy(redraw);
     },
 
     /**
@@ -272,28 +921,51 @@ H.BubbleLegend.prototype = {
             size,
             itemDistance = pick(legend.options.itemDistance, 20),
             connectorSpace,
+            mirroredSpace,
+            split,
             ranges = options.ranges,
             radius,
             maxLabel,
-            connectorDistance = options.connectorDistance;
+            hasConnectors = bubbleLegend.hasConnectors(),
+            placement = bubbleLegend.getLabelsPlacement(),
+            connectorDistance = bubbleLegend.getConnectorDistance() +
+                bubbleLegend.getConnectorMarkerSpace(),
+            rangeDistance = options.rangeDistance;
+
+        /**
+         * Space needed beside a bubble for its connectors and labels, or for
+         * labels centered on the bubble which are wider than the bubble.
+         */
+        function getLabelsSpace(radius, labelWidth) {
+            return Math.max(
+                hasConnectors ?
+                    connectorDistance - radius + labelWidth :
+                    labelWidth / 2 - radius,
+                0
+            );
+        }
 
         // Predict label dimensions
         bubbleLegend.fontMetrics = chart.renderer.fontMetrics(
             options.labels.style.fontSize.toString() + 'px'
         );
 
+        // Predict title height, bubbles are moved below the title
+        bubbleLegend.titleHeight = options.title.text ?
+            chart.renderer.fontMetrics(options.title.style.fontSize).h : 0;
+
+        // Labels above the bubbles in a row need space above the biggest one
+        bubbleLegend.labelsHeadroom = options.layout === 'horizontal' &&
+            bubbleLegend.getLabelsPlacement() === 'above' ?
+            bubbleLegend.fontMetrics.h : 0;
+
         // Reserve space for bubbleLegend and do not create bubbleLegend if
         // ranges or ranges valeus are not specified or if are empty array.
-        if (!ranges || !ranges.length || !ranges[0].value) {
-            legend.options.bubbleLegend.autoRanges = true;
+        if (!ranges || !ranges.length || !isNumber(ranges[0].value)) {
+            options.autoRangesEnabled = true;
             return false;
         }
 
-        // Sort ranges to right render order
-        stableSort(ranges, function (a, b) {
-            return Math.abs(b.value) - Math.abs(a.value);
-        });
-
         bubbleLegend.ranges = ranges;
 
         bubbleLegend.setOptions();
@@ -303,54 +975,375 @@ H.BubbleLegend.prototype = {
         maxLabel = bubbleLegend.getMaxLabelSize();
         radius = bubbleLegend.ranges[0].radius;
         size = radius * 2;
+        bubbleLegend.maxLabel = maxLabel;
 
-        // Space for connectors and labels.
-        connectorSpace = connectorDistance - radius + maxLabel.width;
-        connectorSpace = connectorSpace > 0 ? connectorSpace : 0;
+        if (options.layout === 'horizontal') {
+            // Ranges in a row, labels below or on the bubbles
+            bubbleLegend.movementX = 0;
+            bubbleLegend.legendItemWidth = bubbleLegend.cursor -
+                rangeDistance + itemDistance;
+            bubbleLegend.legendItemHeight = size +
+                bubbleLegend.fontMetrics.h *
+                    (bubbleLegend.isLabelOnBubble() ? 0.5 : 1.5);
 
-        bubbleLegend.maxLabel = maxLabel;
-        bubbleLegend.movementX = options.labels.align === 'left' ?
-            connectorSpace : 0;
+        } else if (
+            options.layout === 'vertical' &&
+            bubbleLegend.isLabelOnBubble()
+        ) {
+            // Ranges in a column, labels centered on the bubbles
+            connectorSpace = getLabelsSpace(radius, maxLabel.width);
+
+            bubbleLegend.movementX = connectorSpace;
+            bubbleLegend.legendItemWidth = size + 2 * connectorSpace +
+                itemDistance;
+            bubbleLegend.legendItemHeight = bubbleLegend.cursor -
+                rangeDistance - bubbleLegend.getBaseline() -
+                bubbleLegend.titleHeight + radius +
+                bubbleLegend.fontMetrics.h / 2;
+
+        } else if (options.layout === 'vertical') {
+            // Ranges in a column, labels beside the bubbles
+            connectorSpace = rangeDistance + maxLabel.width;
+
+            bubbleLegend.movementX = placement === 'left' ?
+                connectorSpace : 0;
+            bubbleLegend.legendItemWidth = size + connectorSpace +
+                itemDistance;
+            bubbleLegend.legendItemHeight = bubbleLegend.cursor -
+                rangeDistance - bubbleLegend.getBaseline() -
+                bubbleLegend.titleHeight + radius +
+                bubbleLegend.fontMetrics.h / 2;
 
-        bubbleLegend.legendItemWidth = size + connectorSpace + itemDistance;
-        bubbleLegend.legendItemHeight = size + bubbleLegend.fontMetrics.h / 2;
+        } else if (bubbleLegend.split) {
+            // Space for connectors and labels on both sides
+            split = bubbleLegend.split;
+            connectorSpace = getLabelsSpace(
+                split.radius,
+                bubbleLegend.getMaxLabelSize(false).width
+            );
+            mirroredSpace = getLabelsSpace(
+                split.mirroredRadius,
+                bubbleLegend.getMaxLabelSize(true).width
+            );
+
+            bubbleLegend.movementX = split.labelsOnLeft ?
+                connectorSpace : mirroredSpace;
+            bubbleLegend.legendItemWidth = 2 * split.radius +
+                2 * split.mirroredRadius + rangeDistance + connectorSpace +
+                mirroredSpace + itemDistance;
+            bubbleLegend.legendItemHeight = size +
+                bubbleLegend.fontMetrics.h / 2;
+
+        } else {
+            // Space for connectors and labels.
+            connectorSpace = getLabelsSpace(
+                radius,
+                bubbleLegend.getMaxLabelSize(false).width
+            );
+
+            // Alternated labels on the opposite side
+            maxLabel = bubbleLegend.getMaxLabelSize(true);
+            mirroredSpace = maxLabel ?
+                getLabelsSpace(radius, maxLabel.width) :
+                0;
+
+            // Labels without connectors overflow on both sides
+            if (!hasConnectors) {
+                mirroredSpace = connectorSpace;
+            }
+
+            bubbleLegend.movementX = placement === 'left' ?
+                connectorSpace : mirroredSpace;
+
+            bubbleLegend.legendItemWidth = size + connectorSpace +
+                mirroredSpace + itemDistance;
+            bubbleLegend.legendItemHeight = size +
+                bubbleLegend.fontMetrics.h / 2 + bubbleLegend.labelsOverflow;
+        }
+
+        bubbleLegend.legendItemHeight += bubbleLegend.titleHeight +
+            bubbleLegend.labelsHeadroom;
+        bubbleLegend.positionTitle(
+            bubbleLegend.legendItemWidth - itemDistance
+        );
     },
 
     /**
-     * Set style options for each bubbleLegend range.
+     * Align the title to the width of bubbles and labels. If the title is
+     * wider, the legend item width is increased.
+     *
+     * @param {Number} - Width of bubbles, connectors and labels
      *
      * @private
      */
-    setOptions: function () {
+    positionTitle: function (contentWidth) {
         var bubbleLegend = this,
-            ranges = bubbleLegend.ranges,
-            legend = bubbleLegend.legend,
-            options = bubbleLegend.options,
-            baseline = legend.baseline,
-            bubbleStyle = {
-                'z-index': options.zIndex,
-                'stroke-width': options.borderWidth
-            },
-            connectorStyle = {
-                'z-index': options.zIndex,
-                'stroke-width': options.connectorWidth
-            },
-            labelStyle = bubbleLegend.getLabelStyles();
+            title = bubbleLegend.symbols.title,
+            align = bubbleLegend.mirrorAlign(bubbleLegend.options.title.align),
+            titleWidth;
 
-        // Allow to parts of styles be used individually for range
-        each(ranges, function (range, i) {
-            bubbleStyle.stroke = pick(
-                range.borderColor,
-                options.borderColor
-            );
-            bubbleStyle.fill = pick(range.color, options.color);
-            connectorStyle.stroke = pick(
-                range.connectorColor,
+        if (title) {
+            titleWidth = title.getBBox(true).width;
+
+            if (titleWidth > contentWidth) {
+                bubbleLegend.legendItemWidth += titleWidth - contentWidth;
+                contentWidth = titleWidth;
+            }
+
+            title.attr({
+                x: -bubbleLegend.movementX + (
+                    align === 'center' ? contentWidth / 2 :
+                        align === 'right' ? contentWidth : 0
+                ),
+                align: align
+            });
+        }
+    },
+
+    /**
+     * Check if ranges are drawn as separate bubbles, in the `horizontal` or
+     * `vertical` layout, instead of nested ones.
+     *
+     * @return {Boolean} - Whether the layout is not nested
+     *
+     * @private
+     */
+    isSeparateLayout: function () {
+        var layout = this.options.layout;
+
+        return layout === 'horizontal' || layout === 'vertical';
+    },
+
+    /**
+     * Get the placement of labels, resolved from the `labels.align` option
+     * for the current layout.
+     *
+     * @return {String} - One of `left`, `center`, `right`, `inside-top` or
+     *                    `above`
+     *
+     * @private
+     */
+    getLabelsPlacement: function () {
+        var options = this.options,
+            align = this.mirrorAlign(options.labels.align);
+
+        // Labels are moved inside bubbles in the compact mode
+        if (this.isCompact()) {
+            return 'inside-top';
+        }
+        if (align === 'above' && !this.isSeparateLayout()) {
+            return 'inside-top';
+        }
+        if (
+            options.layout === 'horizontal' &&
+            (align === 'left' || align === 'right')
+        ) {
+            return 'center';
+        }
+        // Centered labels would overlap the bubbles in a column
+        if (options.layout === 'vertical' && align === 'center') {
+            return this.mirrorAlign('right');
+        }
+        return align;
+    },
+
+    /**
+     * Mirror the horizontal alignment of bubble legend elements in RTL
+     * legends.
+     *
+     * @param {String} - Alignment
+     *
+     * @return {String} - The alignment, with `left` and `right` swapped in
+     *                    RTL legends
+     *
+     * @private
+     */
+    mirrorAlign: function (align) {
+        if (this.legend.options.rtl) {
+            return { left: 'right', right: 'left' }[align] || align;
+        }
+        return align;
+    },
+
+    /**
+     * Check if labels are drawn inside or above the bubbles.
+     *
+     * @return {Boolean} - Whether labels are placed on the bubbles
+     *
+     * @private
+     */
+    isLabelOnBubble: function () {
+        var placement = this.getLabelsPlacement();
+
+        return placement === 'inside-top' || placement === 'above';
+    },
+
+    /**
+     * Check if labels are pointed by connectors, which is the case for
+     * labels beside nested bubbles.
+     *
+     * @return {Boolean} - Whether connectors are drawn
+     *
+     * @private
+     */
+    hasConnectors: function () {
+        var placement = this.getLabelsPlacement();
+
+        return !this.isSeparateLayout() &&
+            (placement === 'left' || placement === 'right');
+    },
+
+    /**
+     * Get the connector length, without modifying the `connectorDistance`
+     * option for placements which need no connectors.
+     *
+     * @return {Number} - The connector length
+     *
+     * @private
+     */
+    getConnectorDistance: function () {
+        return this.hasConnectors() ? this.options.connectorDistance : 0;
+    },
+
+    /**
+     * Get the space between the connector end and the label, taken by the
+     * connector marker.
+     *
+     * @return {Number} - The space in pixels
+     *
+     * @private
+     */
+    getConnectorMarkerSpace: function () {
+        var options = this.options;
+
+        return options.connectorMarker ? options.connectorWidth + 2 : 0;
+    },
+
+    /**
+     * Get the connector path from the bubble top to the label, with the
+     * connector marker at the label end.
+     *
+     * @param {Number} - Horizontal position of the bubble top
+     * @param {Number} - Vertical position of the bubble top
+     * @param {Number} - Connector length, negative for labels on the left
+     * @param {Number} - Vertical offset of the label
+     *
+     * @return {Array} - The SVG path definition
+     *
+     * @private
+     */
+    getConnectorPath: function (x, y, length, offset) {
+        var options = this.options,
+            renderer = this.chart.renderer,
+            width = options.connectorWidth,
+            markerSize = this.getConnectorMarkerSpace(),
+            endX = x + length,
+            endY = y + offset,
+            kneeX,
+            path;
+
+        /**
+         * Round the position for a crisp line.
+         */
+        function crisp(value) {
+            return Math.round(value) + width % 2 / 2;
+        }
+
+        if (options.connectorShape === 'elbow') {
+            kneeX = crisp(x + length / 2);
+            y = crisp(y);
+            endY = crisp(endY);
+            path = [
+                'M', x, y,
+                'L', kneeX, y,
+                'L', kneeX, endY,
+                'L', endX, endY
+            ];
+        } else {
+            path = renderer.crispLine(['M', x, y, 'L', endX, endY], width);
+            endY = path[5];
+        }
+
+        if (options.connectorMarker === 'dot') {
+            path = path.concat(renderer.symbols.circle(
+                endX - markerSize / 2,
+                endY - markerSize / 2,
+                markerSize,
+                markerSize
+            ));
+        } else if (options.connectorMarker === 'tick') {
+            path.push(
+                'M', endX, endY - markerSize,
+                'L', endX, endY + markerSize
+            );
+        }
+
+        return path;
+    },
+
+    /**
+     * Set style options for each bubbleLegend range.
+     *
+     * @private
+     */
+    setOptions: function () {
+        var bubbleLegend = this,
+            ranges = bubbleLegend.ranges,
+            legend = bubbleLegend.legend,
+            options = bubbleLegend.options,
+            baseline,
+            zThreshold = bubbleLegend.getSizeOptions().zThreshold,
+            negativeColor = bubbleLegend.getNegativeColor(),
+            colorAxis = bubbleLegend.getColorAxis(),
+            bubbleStyle = {
+                'z-index': options.zIndex
+            },
+            connectorStyle = {
+                'z-index': options.zIndex
+            },
+            labelStyle = bubbleLegend.getLabelStyles(),
+            hiddenColor = legend.itemHiddenStyle &&
+                legend.itemHiddenStyle.color;
+
+        /*= if (build.classic) { =*/
+        bubbleStyle['stroke-width'] = options.borderWidth;
+        connectorStyle['stroke-width'] = options.connectorWidth;
+        connectorStyle.dashstyle = options.connectorDashStyle;
+        /*= } =*/
+
+        // Sort ranges to right render order, the biggest bubble first
+        each(ranges, function (range) {
+            range.radius = bubbleLegend.getRangeRadius(range.value);
+        });
+        stableSort(ranges, function (a, b) {
+            return Math.abs(b.radius) - Math.abs(a.radius);
+        });
+        baseline = bubbleLegend.getBaseline() + bubbleLegend.titleHeight +
+            bubbleLegend.labelsHeadroom;
+
+        // Allow to parts of styles be used individually for range
+        each(ranges, function (range, i) {
+            /*= if (build.classic) { =*/
+            bubbleStyle.stroke = pick(
+                range.borderColor,
+                options.borderColor
+            );
+            bubbleStyle.fill = pick(
+                bubbleLegend.isRangeHidden(range) ? hiddenColor : undefined,
+                range.color,
+                colorAxis ?
+                    bubbleLegend.getFillColor(colorAxis.toColor(range.value)) :
+                    undefined,
+                range.value < zThreshold ? negativeColor : undefined,
+                options.color
+            );
+            connectorStyle.stroke = pick(
+                range.connectorColor,
                 options.connectorColor
             );
+            /*= } =*/
 
             // Set options needed for rendering each range
-            ranges[i].radius = bubbleLegend.getRangeRadius(range.value);
             ranges[i] = merge(ranges[i], {
                 center: ranges[0].radius - ranges[i].radius + baseline,
                 bubbleStyle: merge(false, bubbleStyle),
@@ -358,217 +1351,1618 @@ H.BubbleLegend.prototype = {
                 labelStyle: labelStyle
             });
         });
+
+        bubbleLegend.setSplitPositions();
+        bubbleLegend.setLabelsOverlap();
+    },
+
+    /**
+     * Resolve collisions of labels in the nested layout according to the
+     * `labels.overlap` option, before the ranges are rendered. Labels in a
+     * column collide when connectors are closer than the line height.
+     *
+     * @private
+     */
+    setLabelsOverlap: function () {
+        var bubbleLegend = this,
+            options = bubbleLegend.options,
+            overlap = options.labels.overlap,
+            ranges = bubbleLegend.ranges,
+            lineHeight = bubbleLegend.fontMetrics.h,
+            lastY = {};
+
+        /**
+         * Connector position relative to the top of the biggest bubble.
+         */
+        function getConnectorY(range) {
+            return 2 * (Math.abs(ranges[0].radius) - Math.abs(range.radius));
+        }
+
+        /**
+         * Move the label and keep space for it below the biggest bubble.
+         */
+        function setLabelOffset(range, offset) {
+            range.labelOffset = offset;
+            bubbleLegend.labelsOverflow = Math.max(
+                bubbleLegend.labelsOverflow,
+                offset - 2 * Math.abs(range.radius)
+            );
+        }
+
+        bubbleLegend.labelsOverflow = 0;
+        each(ranges, function (range) {
+            range.labelOffset = 0;
+        });
+
+        // Labels without connectors can not be moved
+        if (!bubbleLegend.hasConnectors()) {
+            return;
+        }
+
+        if (
+            overlap !== 'hide' &&
+            !(overlap === 'alternate' && bubbleLegend.split)
+        ) {
+            each(ranges, function (range) {
+                var y = getConnectorY(range),
+                    side = !!range.mirrored;
+
+                if (!bubbleLegend.isRangeVisible(range)) {
+                    return;
+                }
+
+                if (overlap === 'alternate') {
+                    if (
+                        lastY[side] !== undefined &&
+                        y - lastY[side] < lineHeight
+                    ) {
+                        side = !side;
+                    }
+                    // Keep the side of labels colliding on both sides
+                    if (
+                        lastY[side] !== undefined &&
+                        y - lastY[side] < lineHeight
+                    ) {
+                        side = !!range.mirrored;
+                    }
+                    range.mirrored = side;
+
+                } else if (lastY[side] !== undefined) {
+                    setLabelOffset(
+                        range,
+                        Math.max(lastY[side] + lineHeight - y, 0)
+                    );
+                    y += range.labelOffset;
+                }
+                lastY[side] = y;
+            });
+        }
+
+        // Elbow connectors allow evenly spaced labels on each side
+        if (options.connectorShape === 'elbow') {
+            each([false, true], function (side) {
+                var sideRanges = H.grep(ranges, function (range) {
+                        return bubbleLegend.isRangeVisible(range) &&
+                            !range.mirrored === !side;
+                    }),
+                    count = sideRanges.length,
+                    firstY,
+                    spacing;
+
+                if (count > 1) {
+                    firstY = getConnectorY(sideRanges[0]);
+                    spacing = Math.max(
+                        lineHeight,
+                        (getConnectorY(sideRanges[count - 1]) - firstY) /
+                            (count - 1)
+                    );
+                    each(sideRanges, function (range, i) {
+                        setLabelOffset(
+                            range,
+                            firstY + i * spacing - getConnectorY(range)
+                        );
+                    });
+                }
+            });
+        }
+    },
+
+    /**
+     * Check if the range is drawn. Ranges with lower value than the
+     * zThreshold are skipped if the bubble series does not display negative
+     * bubbles.
+     *
+     * @param {Object} config - Range options
+     *
+     * @return {Boolean} - Whether the range is drawn
+     *
+     * @private
+     */
+    isRangeVisible: function (range) {
+        var sizeOptions = this.getSizeOptions(),
+            visibleRanges;
+
+        /**
+         * Check the range value against the zThreshold.
+         */
+        function isDisplayed(range) {
+            return range.value >= sizeOptions.zThreshold ||
+                sizeOptions.displayNegative;
+        }
+
+        // Only the biggest and the smallest ranges in the compact mode
+        if (isDisplayed(range) && this.isCompact()) {
+            visibleRanges = H.grep(this.ranges, isDisplayed);
+            return range === visibleRanges[0] ||
+                range === visibleRanges[visibleRanges.length - 1];
+        }
+
+        return isDisplayed(range);
+    },
+
+    /**
+     * Check if the bubble legend is drawn in the compact mode, depending on
+     * the chart width.
+     *
+     * @return {Boolean} - Whether the compact mode is used
+     *
+     * @private
+     */
+    isCompact: function () {
+        var compactOptions = this.options.compact;
+
+        return !!(
+            compactOptions &&
+            compactOptions.enabled &&
+            this.chart.chartWidth <= compactOptions.maxWidth
+        );
+    },
+
+    /**
+     * Check if the bubble legend floats inside the plot area instead of being
+     * drawn in the legend box.
+     *
+     * @return {Boolean} - Whether the bubble legend is floating
+     *
+     * @private
+     */
+    isFloating: function () {
+        var floatingOptions = this.options.floating;
+
+        return !!(floatingOptions && floatingOptions.enabled);
+    },
+
+    /**
+     * Get the vertical position of the biggest bubble bottom. In the legend
+     * box it is the legend baseline, a floating bubble legend has no baseline
+     * so the bubbles start from the top of its group.
+     *
+     * @return {Number} - The baseline of the bubble legend
+     *
+     * @private
+     */
+    getBaseline: function () {
+        return this.isFloating() ?
+            Math.abs(this.ranges[0].radius) :
+            this.legend.baseline;
+    },
+
+    /**
+     * Get the top edge of the bubble legend content relative to its group.
+     * The content is drawn around the baseline, so it usually starts above
+     * the group origin.
+     *
+     * @return {Number} - The top of the content
+     *
+     * @private
+     */
+    getContentTop: function () {
+        var mainRange = this.ranges && this.ranges[0];
+
+        return mainRange ?
+            this.getBaseline() - Math.abs(mainRange.radius) :
+            0;
+    },
+
+    /**
+     * Get the distance from the top edge of the bubble legend content to the
+     * bottom edge of the biggest bubble, which is aligned to the text
+     * baseline of other legend items.
+     *
+     * @return {Number} - The baseline of the content
+     *
+     * @private
+     */
+    getContentBaseline: function () {
+        var bubbleLegend = this,
+            mainRange = bubbleLegend.ranges && bubbleLegend.ranges[0];
+
+        if (!mainRange) {
+            return 0;
+        }
+        // The biggest bubble is the last one in a column
+        if (bubbleLegend.options.layout === 'vertical') {
+            return bubbleLegend.legendItemHeight -
+                bubbleLegend.fontMetrics.h / 2;
+        }
+        return 2 * Math.abs(mainRange.radius) + bubbleLegend.titleHeight +
+            bubbleLegend.labelsHeadroom;
+    },
+
+    /**
+     * Get the color of ranges with lower value than the zThreshold, with the
+     * fill opacity of the bubble series applied to the series negativeColor.
+     *
+     * @return {Color|undefined} - Negative color
+     *
+     * @private
+     */
+    getNegativeColor: function () {
+        var options = this.options,
+            seriesOptions = this.chart.series[options.seriesIndex].options,
+            negativeColor = seriesOptions.negativeColor;
+
+        return pick(
+            options.negativeColor,
+            negativeColor && this.getFillColor(negativeColor)
+        );
+    },
+
+    /**
+     * Apply the fill opacity of the bubble series to a color, the same way
+     * as for the bubbles.
+     *
+     * @param {Color} - The color
+     *
+     * @return {Color} - The color with the fill opacity
+     *
+     * @private
+     */
+    getFillColor: function (fillColor) {
+        var seriesOptions =
+                this.chart.series[this.options.seriesIndex].options,
+            fillOpacity = seriesOptions.marker &&
+                seriesOptions.marker.fillOpacity;
+
+        if (isNumber(fillOpacity) && fillOpacity !== 1) {
+            fillColor = color(fillColor).setOpacity(fillOpacity).get('rgba');
+        }
+        return fillColor;
+    },
+
+    /**
+     * Get the color axis linked through the `colorAxis` option. Ranges show
+     * Z values, so the color axis is only linked when the series is colored
+     * by its Z values.
+     *
+     * @return {Object|undefined} - The color axis
+     *
+     * @private
+     */
+    getColorAxis: function () {
+        var link = this.options.colorAxis,
+            bubbleSeries = this.chart.series[this.options.seriesIndex];
+
+        if (
+            link === undefined || link === null || link === false ||
+            pick(bubbleSeries && bubbleSeries.colorKey, 'z') !== 'z'
+        ) {
+            return;
+        }
+        return H.find(this.chart.colorAxis || [], function (axis, i) {
+            return link === true ?
+                i === 0 :
+                link === i || link === axis.options.id;
+        });
+    },
+
+    /**
+     * When negative ranges are split, set the horizontal bubble position of
+     * each range and mirror negative ones, so the two nested groups of
+     * bubbles are drawn side by side.
+     *
+     * @private
+     */
+    setSplitPositions: function () {
+        var bubbleLegend = this,
+            options = bubbleLegend.options,
+            ranges = bubbleLegend.ranges,
+            zThreshold = bubbleLegend.getSizeOptions().zThreshold,
+            labelsOnLeft = bubbleLegend.getLabelsPlacement() === 'left',
+            radius,
+            mirroredRadius,
+            x,
+            mirroredX;
+
+        bubbleLegend.split = null;
+        each(ranges, function (range) {
+            range.mirrored = false;
+            range.posX = undefined;
+        });
+
+        if (!options.splitNegative || bubbleLegend.isSeparateLayout()) {
+            return;
+        }
+
+        // Ranges are sorted, so the first found ones are the biggest
+        each(ranges, function (range) {
+            if (bubbleLegend.isRangeVisible(range)) {
+                range.mirrored = range.value < zThreshold;
+                if (range.mirrored && mirroredRadius === undefined) {
+                    mirroredRadius = Math.abs(range.radius);
+                } else if (!range.mirrored && radius === undefined) {
+                    radius = Math.abs(range.radius);
+                }
+            }
+        });
+
+        // Nothing to split
+        if (radius === undefined || mirroredRadius === undefined) {
+            each(ranges, function (range) {
+                range.mirrored = false;
+            });
+            return;
+        }
+
+        // Mirrored bubbles are on the opposite side to labels
+        if (labelsOnLeft) {
+            x = radius;
+            mirroredX = 2 * radius + options.rangeDistance + mirroredRadius;
+        } else {
+            mirroredX = mirroredRadius;
+            x = 2 * mirroredRadius + options.rangeDistance + radius;
+        }
+
+        each(ranges, function (range) {
+            range.posX = range.mirrored ? mirroredX : x;
+        });
+
+        bubbleLegend.split = {
+            radius: radius,
+            mirroredRadius: mirroredRadius,
+            labelsOnLeft: labelsOnLeft
+        };
+    },
+
+    /**
+     * Merge options for bubbleLegend labels.
+     *
+     * @private
+     */
+    getLabelStyles: function () {
+        var options = this.options,
+            additionalLabelsStyle = {},
+            labelsOnLeft = this.getLabelsPlacement() === 'left';
+
+        /*= if (build.classic) { =*/
+        // To separate additional style options
+        objectEach(options.labels.style, function (value, key) {
+            if (key !== 'color' && key !== 'fontSize' && key !== 'z-index') {
+                additionalLabelsStyle[key] = value;
+            }
+        });
+        additionalLabelsStyle['font-size'] = options.labels.style.fontSize;
+        additionalLabelsStyle.fill = options.labels.style.color;
+        /*= } =*/
+
+        return merge(false, additionalLabelsStyle, {
+            'z-index': options.zIndex,
+            align: labelsOnLeft ? 'right' : 'left'
+        });
+    },
+
+    /**
+     * Calculate radius for each bubble range,
+     * used code from BubbleSeries.js 'getRadius' method.
+     *
+     * @param {Number} - Range value
+     *
+     * @return {Number} - Radius for one range
+     *
+     * @private
+     */
+    getRangeRadius: function (value) {
+        var bubbleLegend = this,
+            options = bubbleLegend.options,
+            seriesIndex = bubbleLegend.options.seriesIndex,
+            bubbleSeries = bubbleLegend.chart.series[seriesIndex],
+            extremes = bubbleLegend.getScaleExtremes(),
+            minSize = options.minSize,
+            maxSize = options.maxSize;
+
+        return bubbleSeries.getRadius.call(
+            { options: bubbleLegend.getSizeOptions() },
+            extremes.min,
+            extremes.max,
+            minSize,
+            maxSize,
+            value
+        ) * bubbleLegend.getMapZoomScale();
+    },
+
+    /**
+     * Get the scale of reference bubbles sized in map units, from the zoom of
+     * the X axis of the bubble series.
+     *
+     * @return {Number} - The zoom scale, 1 if bubbles are not scaled
+     *
+     * @private
+     */
+    getMapZoomScale: function () {
+        var options = this.options,
+            bubbleSeries = this.chart.series[options.seriesIndex],
+            xAxis = bubbleSeries && bubbleSeries.xAxis,
+            range = xAxis && xAxis.max - xAxis.min;
+
+        return options.scaleWithMapZoom && range > 0 ?
+            (xAxis.dataMax - xAxis.dataMin) / range :
+            1;
+    },
+
+    /**
+     * Check if the bubble legend depends on axes which are set after the
+     * legend is rendered, the linked color axis or the map zoom.
+     *
+     * @return {Boolean} - Whether the legend is rendered again after axes
+     *
+     * @private
+     */
+    dependsOnAxes: function () {
+        return !!this.getColorAxis() || !!this.options.scaleWithMapZoom;
+    },
+
+    /**
+     * Get the values which are sized to the minSize and the maxSize. Rounded
+     * auto ranges do not reach the Z extremes, so then bubbles are sized
+     * relatively to the series data.
+     *
+     * @return {Object} - Min and max values of the bubble legend scale
+     *
+     * @private
+     */
+    getScaleExtremes: function () {
+        var options = this.options,
+            values;
+
+        // The scale is kept while a filter handle is dragged
+        if (this.dragExtremes) {
+            return this.dragExtremes;
+        }
+
+        if (options.autoRangesEnabled) {
+            return this.getZExtremes();
+        }
+
+        values = H.map(options.ranges, function (range) {
+            return range.value;
+        });
+        return { min: arrayMin(values), max: arrayMax(values) };
+    },
+
+    /**
+     * Get the value for a radius, the inversion of `getRangeRadius`.
+     *
+     * @param {Number} - Radius in pixels
+     *
+     * @return {Number} - Value of a range with the radius
+     *
+     * @private
+     */
+    getRadiusValue: function (radius) {
+        var options = this.options,
+            extremes = this.getScaleExtremes(),
+            sizeRange = options.maxSize - options.minSize,
+            pos = sizeRange > 0 ?
+                (2 * radius / this.getMapZoomScale() - options.minSize) /
+                    sizeRange :
+                0.5;
+
+        pos = Math.min(Math.max(pos, 0), 1);
+        if (options.sizeBy !== 'width') {
+            pos = pos * pos;
+        }
+
+        return extremes.min + pos * (extremes.max - extremes.min);
+    },
+
+    /**
+     * Get options which determine bubble sizes and visibility. Options which
+     * are not set for the bubble legend are taken from the main bubble series.
+     *
+     * @return {Object} - The sizeBy, sizeByAbsoluteValue, zThreshold and
+     *                    displayNegative options
+     *
+     * @private
+     */
+    getSizeOptions: function () {
+        var options = this.options,
+            seriesOptions = this.chart.series[options.seriesIndex].options;
+
+        return {
+            sizeBy: options.sizeBy,
+            sizeByAbsoluteValue: pick(
+                options.sizeByAbsoluteValue,
+                seriesOptions.sizeByAbsoluteValue
+            ),
+            zThreshold: pick(options.zThreshold, seriesOptions.zThreshold, 0),
+            displayNegative: seriesOptions.displayNegative !== false
+        };
+    },
+
+    /**
+     * Render the legendSymbol group.
+     *
+     * @private
+     */
+    render: function () {
+        var bubbleLegend = this,
+            renderer = bubbleLegend.chart.renderer,
+            rangesCount = 0;
+
+
+        if (!bubbleLegend.symbols) {
+            bubbleLegend.symbols = {
+                connectors: [],
+                bubbleItems: [],
+                labels: []
+            };
+        }
+
+        // Existing elements are updated on redraw
+        bubbleLegend.isUpdating = !!bubbleLegend.legendSymbol;
+
+        if (!bubbleLegend.isUpdating) {
+            bubbleLegend.legendSymbol = renderer.g(
+                'bubble-scale-legend-' + bubbleLegend.index
+            );
+
+            // To enable default 'hideOverlappingLabels' method
+            bubbleLegend.legendSymbol.translateX = 0;
+            bubbleLegend.legendSymbol.translateY = 0;
+        }
+
+        bubbleLegend.renderTitle();
+
+        // Position of the next range in separate layouts
+        bubbleLegend.cursor = bubbleLegend.options.layout === 'vertical' ?
+            bubbleLegend.getBaseline() + bubbleLegend.titleHeight -
+                bubbleLegend.ranges[0].radius :
+            0;
+
+        // Separate bubbles are rendered from the smallest one, which is the
+        // rightmost one in a row of an RTL legend
+        each(
+            bubbleLegend.isSeparateLayout() && !(
+                bubbleLegend.legend.options.rtl &&
+                bubbleLegend.options.layout === 'horizontal'
+            ) ?
+                bubbleLegend.ranges.slice().reverse() :
+                bubbleLegend.ranges,
+            function (range) {
+                if (bubbleLegend.isRangeVisible(range)) {
+                    bubbleLegend.renderRange(range, rangesCount++);
+                }
+            }
+        );
+
+        // Remove elements of ranges which no longer exist
+        each(['bubbleItems', 'connectors', 'labels'], function (key) {
+            var items = bubbleLegend.symbols[key],
+                item;
+
+            while (items.length > rangesCount) {
+                item = items.pop();
+                if (item) {
+                    item.destroy();
+                }
+            }
+        });
+
+        bubbleLegend.renderFilter();
+
+        if (!bubbleLegend.isUpdating) {
+            bubbleLegend.legendSymbol.add(bubbleLegend.legendGroup);
+        }
+        bubbleLegend.hideOverlappingLabels();
+        bubbleLegend.setAccessibility();
+    },
+
+    /**
+     * Render a floating bubble legend in its own group, aligned within the
+     * plot box. Bubbles are drawn in the sizes of the series bubbles, since
+     * the floating bubble legend takes no space from the plot area.
+     *
+     * @private
+     */
+    renderFloating: function () {
+        var bubbleLegend = this,
+            chart = bubbleLegend.chart,
+            options = bubbleLegend.options,
+            floatingOptions = options.floating,
+            bubbleSeries = chart.series[options.seriesIndex],
+            ranges = options.ranges,
+            itemDistance = pick(bubbleLegend.legend.options.itemDistance, 20),
+            legendGroup = bubbleLegend.legendGroup,
+            width,
+            height,
+            x,
+            y;
+
+        if (!ranges || !ranges.length || !isNumber(ranges[0].value)) {
+            options.autoRangesEnabled = true;
+        }
+        if (options.autoRangesEnabled) {
+            bubbleLegend.updateRanges(
+                Math.ceil(bubbleSeries.minPxSize),
+                Math.ceil(bubbleSeries.maxPxSize)
+            );
+        }
+
+        if (!legendGroup) {
+            legendGroup = bubbleLegend.legendGroup = chart.renderer
+                .g('bubble-legend-floating')
+                .attr({ zIndex: 7 })
+                .add();
+        }
+
+        if (bubbleLegend.drawLegendSymbol(bubbleLegend.legend) === false) {
+            return;
+        }
+
+        width = bubbleLegend.legendItemWidth - itemDistance;
+        height = bubbleLegend.legendItemHeight;
+        x = chart.plotLeft + floatingOptions.x + bubbleLegend.movementX +
+            (chart.plotWidth - width) * ({
+                left: 0,
+                center: 0.5,
+                right: 1
+            }[floatingOptions.align] || 0);
+        y = chart.plotTop + floatingOptions.y +
+            (chart.plotHeight - height) * ({
+                top: 0,
+                middle: 0.5,
+                bottom: 1
+            }[floatingOptions.verticalAlign] || 0);
+
+        legendGroup[
+            legendGroup.placed ? bubbleLegend.getUpdateMethod() : 'attr'
+        ]({
+            translateX: Math.round(x),
+            translateY: Math.round(y)
+        });
+        legendGroup.placed = true;
+    },
+
+    /**
+     * Describe the bubble legend for screen readers. The group is exposed as
+     * a list labelled with the description, and each range as a list item
+     * with its label.
+     *
+     * @private
+     */
+    setAccessibility: function () {
+        var bubbleLegend = this;
+
+        bubbleLegend.legendSymbol.attr({
+            role: 'list',
+            'aria-label': bubbleLegend.getDescription()
+        });
+
+        each(bubbleLegend.symbols.labels, function (label) {
+            label.attr({
+                role: 'listitem',
+                'aria-label': bubbleLegend.stripTags(label.textStr)
+            });
+        });
+    },
+
+    /**
+     * Get the text alternative of the bubble legend, generated from the
+     * formatted labels of the smallest and biggest ranges.
+     *
+     * @return {String} - The description
+     *
+     * @private
+     */
+    getDescription: function () {
+        var bubbleLegend = this,
+            a11yOptions = bubbleLegend.options.accessibility,
+            ranges = H.grep(bubbleLegend.ranges, function (range) {
+                return bubbleLegend.isRangeVisible(range);
+            }),
+            values;
+
+        if (a11yOptions.descriptionFormatter) {
+            return a11yOptions.descriptionFormatter.call(bubbleLegend);
+        }
+        if (a11yOptions.description) {
+            return a11yOptions.description;
+        }
+        if (!ranges.length) {
+            return '';
+        }
+
+        values = H.map(ranges, function (range) {
+            return range.value;
+        });
+
+        return H.format(defaultOptions.lang.bubbleLegendDescription, {
+            min: bubbleLegend.stripTags(bubbleLegend.formatLabel(
+                ranges[H.inArray(arrayMin(values), values)]
+            )),
+            max: bubbleLegend.stripTags(bubbleLegend.formatLabel(
+                ranges[H.inArray(arrayMax(values), values)]
+            )),
+            count: ranges.length
+        });
+    },
+
+    /**
+     * Remove HTML tags from a label, to be read by screen readers.
+     *
+     * @param {String} - Label text
+     *
+     * @return {String} - Plain text
+     *
+     * @private
+     */
+    stripTags: function (text) {
+        return String(pick(text, '')).replace(/<[^>]+>/g, '');
+    },
+
+    /**
+     * Get the method for updating geometry of existing elements, depending on
+     * the animation option.
+     *
+     * @return {String} - The `animate` or `attr` method name
+     *
+     * @private
+     */
+    getUpdateMethod: function () {
+        return this.options.animation ? 'animate' : 'attr';
+    },
+
+    /**
+     * Render the minimum and maximum handles of the size filter across the
+     * biggest bubble, where the top edges of bubbles with these values are.
+     *
+     * @private
+     */
+    renderFilter: function () {
+        var bubbleLegend = this,
+            options = bubbleLegend.options,
+            filterOptions = options.filter,
+            renderer = bubbleLegend.chart.renderer,
+            mainRange = bubbleLegend.ranges[0],
+            bubbleSeries = bubbleLegend.chart.series[options.seriesIndex],
+            zFilter = bubbleSeries.zFilter || bubbleLegend.getScaleExtremes();
+
+        // Handles are created again on each render
+        each(bubbleLegend.symbols.filterHandles || [], function (handle) {
+            handle.destroy();
+        });
+        bubbleLegend.symbols.filterHandles = null;
+
+        if (
+            !filterOptions.enabled ||
+            bubbleLegend.isSeparateLayout() ||
+            bubbleLegend.split ||
+            bubbleLegend.getSizeOptions().sizeByAbsoluteValue
+        ) {
+            return;
+        }
+
+        bubbleLegend.filterBottom = mainRange.center +
+            Math.abs(mainRange.radius);
+        bubbleLegend.symbols.filterHandles = H.map(
+            ['min', 'max'],
+            function (key) {
+                var handle = renderer
+                    .rect(
+                        pick(mainRange.posX, mainRange.radius) -
+                            mainRange.radius - 2,
+                        0,
+                        2 * mainRange.radius + 4,
+                        4,
+                        2
+                    )
+                    .attr({
+                        'z-index': options.zIndex + 1
+                    })
+                    .css({
+                        cursor: 'ns-resize'
+                    })
+                    .addClass('highcharts-bubble-legend-filter-handle')
+                    .add(bubbleLegend.legendSymbol);
+
+                /*= if (build.classic) { =*/
+                handle.attr({
+                    fill: filterOptions.handleColor
+                });
+                /*= } =*/
+
+                handle.key = key;
+                bubbleLegend.positionFilterHandle(handle, zFilter[key]);
+                bubbleLegend.setFilterHandleEvents(handle);
+
+                return handle;
+            }
+        );
+    },
+
+    /**
+     * Move the filter handle to the top edge of a bubble with the value.
+     *
+     * @param {Object} - Filter handle SVG element
+     * @param {Number} - Filter value
+     *
+     * @private
+     */
+    positionFilterHandle: function (handle, value) {
+        var options = this.options,
+            scale = this.getMapZoomScale(),
+            diameter = Math.min(
+                Math.max(
+                    2 * this.getRangeRadius(value),
+                    options.minSize * scale
+                ),
+                options.maxSize * scale
+            );
+
+        handle.attr({
+            y: this.filterBottom - diameter - 2
+        });
+    },
+
+    /**
+     * Drag the filter handle vertically with mouse or touch. Bubbles are
+     * filtered while dragging, and the bubble legend is rendered again when
+     * the handle is dropped. The scale of the bubble legend is kept while
+     * dragging.
+     *
+     * @param {Object} - Filter handle SVG element
+     *
+     * @private
+     */
+    setFilterHandleEvents: function (handle) {
+        var bubbleLegend = this,
+            chart = bubbleLegend.chart;
+
+        /**
+         * Start dragging the handle.
+         */
+        function onDragStart(e) {
+            var startY = chart.pointer.normalize(e).chartY,
+                startHandleY = handle.attr('y');
+
+            /**
+             * Set the filter value from the handle position.
+             */
+            function onDrag(e) {
+                var diameter = bubbleLegend.filterBottom - 2 - startHandleY -
+                    (chart.pointer.normalize(e).chartY - startY);
+
+                // Do not scroll the page while dragging on touch devices
+                if (e.preventDefault) {
+                    e.preventDefault();
+                }
+
+                bubbleLegend.setFilterValue(
+                    handle.key,
+                    bubbleLegend.getRadiusValue(diameter / 2)
+                );
+
+                // Handles are created again when the legend is rendered
+                // during the drag
+                each(bubbleLegend.symbols.filterHandles || [], function (h) {
+                    if (h.key === handle.key) {
+                        bubbleLegend.positionFilterHandle(
+                            h,
+                            chart.series[bubbleLegend.options.seriesIndex]
+                                .zFilter[h.key]
+                        );
+                    }
+                });
+            }
+
+            /**
+             * Drop the handle.
+             */
+            function onDrop() {
+                bubbleLegend.stopFilterDrag();
+                bubbleLegend.applyFilter();
+            }
+
+            e.stopPropagation();
+            e.preventDefault();
+
+            bubbleLegend.dragExtremes = bubbleLegend.getScaleExtremes();
+
+            // Document events are removed on drop, or when the bubble legend
+            // or the chart is destroyed during the drag
+            bubbleLegend.stopFilterDrag();
+            bubbleLegend.filterUnbinders.push(
+                addEvent(doc, 'mousemove', onDrag),
+                addEvent(doc, 'touchmove', onDrag),
+                addEvent(doc, 'mouseup', onDrop),
+                addEvent(doc, 'touchend', onDrop)
+            );
+        }
+
+        addEvent(handle.element, 'mousedown', onDragStart);
+        addEvent(handle.element, 'touchstart', onDragStart);
+    },
+
+    /**
+     * Remove the document events of the dragged filter handle and the
+     * pending redraw of the filter.
+     *
+     * @private
+     */
+    stopFilterDrag: function () {
+        each(this.filterUnbinders || [], function (unbind) {
+            unbind();
+        });
+        this.filterUnbinders = [];
+
+        clearTimeout(this.filterRedrawTimeout);
+        this.filterRedrawTimeout = null;
+    },
+
+    /**
+     * Set one value of the size filter on linked bubble series and redraw
+     * them. The minimum value can not exceed the maximum one. Redraws are
+     * throttled by the `filter.redrawInterval` option.
+     *
+     * @param {String} - Filter key, `min` or `max`
+     * @param {Number} - New filter value
+     *
+     * @private
+     */
+    setFilterValue: function (key, value) {
+        var bubbleLegend = this,
+            chart = bubbleLegend.chart,
+            filterOptions = bubbleLegend.options.filter,
+            extremes = bubbleLegend.getScaleExtremes();
+
+        each(bubbleLegend.getLinkedSeries(), function (series) {
+            var zFilter = series.zFilter = series.zFilter || {
+                min: extremes.min,
+                max: extremes.max
+            };
+
+            zFilter[key] = key === 'min' ?
+                Math.min(value, zFilter.max) :
+                Math.max(value, zFilter.min);
+            zFilter.updateExtremes = filterOptions.updateExtremes;
+            series.isDirty = true;
+        });
+
+        // Bubble sizes depend on the Z extremes, which are set by the filter
+        if (filterOptions.updateExtremes) {
+            chart.isDirtyBox = true;
+        }
+
+        if (!bubbleLegend.filterRedrawTimeout) {
+            bubbleLegend.filterRedrawTimeout = H.syncTimeout(function () {
+                bubbleLegend.filterRedrawTimeout = null;
+                chart.redraw(false);
+            }, filterOptions.redrawInterval);
+        }
+    },
+
+    /**
+     * After a filter handle is dropped, redraw the chart with the last
+     * filter values and render the bubble legend again in the scale of the
+     * Z extremes.
+     *
+     * @private
+     */
+    applyFilter: function () {
+        var chart = this.chart;
+
+        clearTimeout(this.filterRedrawTimeout);
+        this.filterRedrawTimeout = null;
+        this.dragExtremes = null;
+
+        chart.isDirtyLegend = true;
+        chart.redraw();
+    },
+
+    /**
+     * Clear the size filter and show the bands hidden by clicking ranges, so
+     * all bubbles are shown in the Z extremes of the series options.
+     *
+     * @param {Boolean} [redraw=true] - Whether to redraw the chart
+     */
+    resetFilter: function (redraw) {
+        var chart = this.chart;
+
+        each(this.getLinkedSeries(), function (series) {
+            if (series.zFilter) {
+                series.zFilter = null;
+                series.isDirty = true;
+            }
+        });
+        this.showHiddenBands();
+
+        chart.isDirtyLegend = true;
+        chart.isDirtyBox = true;
+        if (pick(redraw, true)) {
+            chart.redraw();
+        }
+    },
+
+    /**
+     * Render the title above the bubbles. It is aligned horizontally when
+     * the legend item width is known.
+     *
+     * @private
+     */
+    renderTitle: function () {
+        var bubbleLegend = this,
+            renderer = bubbleLegend.chart.renderer,
+            symbols = bubbleLegend.symbols,
+            titleOptions = bubbleLegend.options.title,
+            titleY = bubbleLegend.getBaseline() -
+                Math.abs(bubbleLegend.ranges[0].radius) +
+                renderer.fontMetrics(titleOptions.style.fontSize).b;
+
+        if (symbols.title && !titleOptions.text) {
+            symbols.title = symbols.title.destroy();
+
+        } else if (symbols.title) {
+            symbols.title.attr({
+                text: titleOptions.text
+            })[bubbleLegend.getUpdateMethod()]({
+                y: titleY
+            });
+
+        } else if (titleOptions.text) {
+            symbols.title = renderer
+                .text(
+                    titleOptions.text,
+                    0,
+                    titleY
+                ).attr({
+                    'z-index': bubbleLegend.options.zIndex
+                }).addClass(
+                    'highcharts-bubble-legend-title'
+                ).add(
+                    bubbleLegend.legendSymbol
+                );
+
+            /*= if (build.classic) { =*/
+            // Merge to prevent modifying original options
+            symbols.title.css(merge(titleOptions.style));
+            /*= } =*/
+        }
+    },
+
+    /**
+     * Render one range, consisting of bubble symbol, connector and label.
+     * Elements of the range rendered before at the same index are updated.
+     *
+     * @param {Object} config - Range options
+     * @param {Number} - Index of the range in the render order
+     *
+     * @private
+     */
+    renderRange: function (range, index) {
+        var bubbleLegend = this,
+            mainRange = bubbleLegend.ranges[0],
+            options = bubbleLegend.options,
+            labelsOptions = options.labels,
+            chart = bubbleLegend.chart,
+            renderer = chart.renderer,
+            symbols = bubbleLegend.symbols,
+            labels = symbols.labels,
+            label,
+            elementCenter = range.center,
+            absoluteRadius = Math.abs(range.radius),
+            connectorDistance = bubbleLegend.getConnectorDistance(),
+            placement = bubbleLegend.getLabelsPlacement(),
+            fontSize = labelsOptions.style.fontSize,
+            connectorLength = placement === 'left' ?
+                -connectorDistance : connectorDistance,
+            borderWidth = options.borderWidth,
+            connectorWidth = options.connectorWidth,
+            posX = pick(range.posX, mainRange.radius),
+            posY = elementCenter - absoluteRadius - borderWidth / 2 +
+                connectorWidth / 2,
+            labelY,
+            labelX,
+            fontMetrics = bubbleLegend.fontMetrics,
+            labelMovement = fontSize / 2 - (fontMetrics.h - fontSize) / 2,
+            crispMovement = (posY % 1 ? 1 : 0.5) -
+                (connectorWidth % 2 ? 0 : 0.5),
+            separate = bubbleLegend.isSeparateLayout(),
+            position,
+            bubble = symbols.bubbleItems[index],
+            connector = symbols.connectors[index],
+            connectorPath,
+            symbol = bubbleLegend.getSymbol(),
+            rangeClassName = bubbleLegend.getRangeClassName(range),
+            symbolAttribs,
+            verb = bubbleLegend.getUpdateMethod(),
+            labelVerb = labels[index] ? verb : 'attr';
+
+        // Set options for centered labels
+        if (placement !== 'left' && placement !== 'right') {
+            range.labelStyle.align = 'center';
+        }
+
+        // Mirrored ranges have connectors and labels on the opposite side
+        if (range.mirrored && connectorLength) {
+            connectorLength = -connectorLength;
+            range.labelStyle.align = range.labelStyle.align === 'left' ?
+                'right' : 'left';
+        }
+
+        // Render label, it is positioned after its size is known
+        label = labels[index];
+        if (label) {
+            label.attr({
+                text: bubbleLegend.formatLabel(range)
+            }).attr(
+                range.labelStyle
+            );
+        } else {
+            label = labels[index] = renderer
+                .text(
+                    bubbleLegend.formatLabel(range),
+                    0,
+                    0
+                ).attr(
+                    range.labelStyle
+                ).add(
+                    bubbleLegend.legendSymbol
+                );
+        }
+        label.addClass(
+            'highcharts-bubble-scale-labels ' + rangeClassName +
+            (options.labels.className || ''),
+            true
+        );
+
+        if (separate) {
+            position = bubbleLegend.getSeparatePosition(
+                range,
+                label.getBBox(true)
+            );
+            posX = position.x;
+            elementCenter = position.center;
+            crispMovement = 0;
+            labelX = position.labelX + options.labels.x;
+            labelY = position.labelY + options.labels.y;
+        } else if (placement === 'inside-top') {
+            labelY = posY + fontMetrics.b + options.labels.y;
+            labelX = posX + options.labels.x;
+        } else {
+            labelY = posY + range.labelOffset + options.labels.y +
+                labelMovement;
+            labelX = posX + connectorLength + options.labels.x +
+                (connectorLength < 0 ? -1 : 1) *
+                    bubbleLegend.getConnectorMarkerSpace();
+        }
+
+        // Render bubble symbol, the top edge of the shape meets the connector
+        symbolAttribs = {
+            x: posX - absoluteRadius,
+            y: elementCenter + crispMovement - absoluteRadius,
+            width: absoluteRadius * 2,
+            height: absoluteRadius * 2
+        };
+
+        // A changed marker symbol requires a new shape
+        if (bubble && bubble.bubbleSymbol !== symbol) {
+            bubble = bubble.destroy();
+        }
+
+        if (bubble) {
+            bubble.attr(range.bubbleStyle)[verb](symbolAttribs);
+        } else {
+            bubble = symbols.bubbleItems[index] = renderer
+                .symbol(
+                    symbol,
+                    symbolAttribs.x,
+                    symbolAttribs.y,
+                    symbolAttribs.width,
+                    symbolAttribs.height,
+                    // Image symbols are scaled to the bubble size
+                    {
+                        width: symbolAttribs.width,
+                        height: symbolAttribs.height
+                    }
+                ).attr(
+                    range.bubbleStyle
+                ).add(
+                    bubbleLegend.legendSymbol
+                );
+            bubble.bubbleSymbol = symbol;
+        }
+        bubble.addClass(
+            'highcharts-bubble-scale-bubbles ' + rangeClassName +
+            (options.className || ''),
+            true
+        );
+
+        // Render connector, labels of separate bubbles or labels placed on
+        // bubbles do not need it
+        if (connector && !bubbleLegend.hasConnectors()) {
+            connector = symbols.connectors[index] = connector.destroy();
+        }
+        if (bubbleLegend.hasConnectors()) {
+            connectorPath = bubbleLegend.getConnectorPath(
+                posX,
+                posY,
+                connectorLength,
+                range.labelOffset
+            );
+
+            if (connector) {
+                connector.attr(range.connectorStyle)[verb]({
+                    d: connectorPath
+                });
+            } else {
+                connector = symbols.connectors[index] = renderer
+                    .path(
+                        connectorPath
+                    ).attr(
+                        range.connectorStyle
+                    ).add(
+                        bubbleLegend.legendSymbol
+                    );
+            }
+            connector.addClass(
+                'highcharts-bubble-scale-connectors ' + rangeClassName +
+                (options.connectorClassName || ''),
+                true
+            );
+        }
+
+        label[labelVerb]({
+            x: labelX,
+            y: labelY
+        });
+
+        bubbleLegend.setRangeEvents(range, [bubble, label]);
+
+        label.mirrored = range.mirrored;
+        // To enable default 'hideOverlappingLabels' method
+        label.placed = true;
+        label.alignAttr = {
+            x: labelX,
+            y: labelY
+        };
+    },
+
+    /**
+     * Get the class names of the range elements, including the range index
+     * and state of the range. Ranges are indexed from the biggest bubble.
+     *
+     * @param {Object} config - Range options
+     *
+     * @return {String} - Class names followed by a space
+     *
+     * @private
+     */
+    getRangeClassName: function (range) {
+        var bubbleLegend = this,
+            className = 'highcharts-bubble-legend-range-' +
+                H.inArray(range, bubbleLegend.ranges) + ' ';
+
+        if (range.value < bubbleLegend.getSizeOptions().zThreshold) {
+            className += 'highcharts-negative ';
+        }
+        if (bubbleLegend.isRangeHidden(range)) {
+            className += 'highcharts-bubble-legend-range-hidden ';
+        }
+        return className;
+    },
+
+    /**
+     * Get the marker symbol of the bubble series the legend is linked to, so
+     * the ranges are drawn with the same shape as the bubbles.
+     *
+     * @return {String} - The symbol name or image URL
+     *
+     * @private
+     */
+    getSymbol: function () {
+        var series = this.chart.series[this.options.seriesIndex];
+
+        return (series && series.symbol) || 'circle';
+    },
+
+    /**
+     * Add mouse events to the range elements. Hovering highlights bubbles in
+     * the range band, clicking toggles their visibility.
+     *
+     * @param {Object} config - Range options
+     * @param {Array} - SVG elements of the range
+     *
+     * @private
+     */
+    setRangeEvents: function (range, elements) {
+        var bubbleLegend = this;
+
+        each(elements, function (element) {
+            element
+                .on('mouseover', function (e) {
+                    var band = bubbleLegend.getRangeBand(range);
+
+                    fireEvent(bubbleLegend, 'rangeMouseOver', {
+                        range: range,
+                        from: band.from,
+                        to: band.to,
+                        points: bubbleLegend.getBandPoints(band),
+                        browserEvent: e
+                    }, function () {
+                        bubbleLegend.highlightBand(band);
+                    });
+                })
+                .on('mouseout', function () {
+                    bubbleLegend.highlightBand();
+                })
+                .on('click', function (e) {
+                    var band = bubbleLegend.getRangeBand(range);
+
+                    // Do not fire the legend item click event
+                    if (e.stopPropagation) {
+                        e.stopPropagation();
+                    }
+
+                    fireEvent(bubbleLegend, 'rangeClick', {
+                        range: range,
+                        from: band.from,
+                        to: band.to,
+                        points: bubbleLegend.getBandPoints(band),
+                        browserEvent: e
+                    }, function () {
+                        bubbleLegend.toggleBand(band);
+                    });
+                });
+        });
     },
 
     /**
-     * Merge options for bubbleLegend labels.
+     * Get the band of Z values presented by the range, from the range value
+     * to the value of the next bigger range. The smallest and the biggest
+     * ranges are open ended, so each bubble is in one band.
+     *
+     * @param {Object} config - Range options
+     *
+     * @return {Object} - The from and to values of the band
      *
      * @private
      */
-    getLabelStyles: function () {
-        var options = this.options,
-            additionalLabelsStyle = {},
-            labelsOnLeft = options.labels.align === 'left',
-            rtl = this.legend.options.rtl;
+    getRangeBand: function (range) {
+        var bubbleLegend = this,
+            values = [],
+            i;
 
-        // To separate additional style options
-        objectEach(options.labels.style, function (value, key) {
-            if (key !== 'color' && key !== 'fontSize' && key !== 'z-index') {
-                additionalLabelsStyle[key] = value;
+        each(bubbleLegend.ranges, function (r) {
+            if (bubbleLegend.isRangeVisible(r)) {
+                values.push(r.value);
             }
         });
-
-        return merge(false, additionalLabelsStyle, {
-            'font-size': options.labels.style.fontSize,
-            fill: options.labels.style.color,
-            'z-index': options.zIndex,
-            align: rtl || labelsOnLeft ? 'right' : 'left'
+        values.sort(function (a, b) {
+            return a - b;
         });
+        i = H.inArray(range.value, values);
+
+        return {
+            from: i > 0 ? range.value : -Number.MAX_VALUE,
+            to: i < values.length - 1 ? values[i + 1] : Number.MAX_VALUE
+        };
     },
 
     /**
-     * Calculate radius for each bubble range,
-     * used code from BubbleSeries.js 'getRadius' method.
+     * Get points of linked bubble series with Z value in the band.
      *
-     * @param {Number} - Range value
+     * @param {Object} - The from and to values of the band
      *
-     * @return {Number} - Radius for one range
+     * @return {Array} - Points in the band
      *
      * @private
      */
-    getRangeRadius: function (value) {
-        var bubbleLegend = this,
-            options = bubbleLegend.options,
-            seriesIndex = bubbleLegend.options.seriesIndex,
-            bubbleSeries = bubbleLegend.chart.series[seriesIndex],
-            zMax = options.ranges[0].value,
-            zMin = options.ranges[options.ranges.length - 1].value,
-            minSize = options.minSize,
-            maxSize = options.maxSize;
+    getBandPoints: function (band) {
+        var points = [];
 
-        return bubbleSeries.getRadius.call(
-            this,
-            zMin,
-            zMax,
-            minSize,
-            maxSize,
-            value
-        );
+        each(this.getLinkedSeries(), function (series) {
+            each(series.points || [], function (point) {
+                if (point.z >= band.from && point.z < band.to) {
+                    points.push(point);
+                }
+            });
+        });
+        return points;
     },
 
     /**
-     * Render the legendSymbol group.
+     * Set the hover state of points in the band and the inactive state of
+     * other visible points. Without the band, all points are set to normal
+     * state.
+     *
+     * @param {Object} - The from and to values of the band
      *
      * @private
      */
-    render: function () {
-        var bubbleLegend = this,
-            renderer = bubbleLegend.chart.renderer,
-            zThreshold = bubbleLegend.options.zThreshold;
-
+    highlightBand: function (band) {
+        each(this.getLinkedSeries(), function (series) {
+            each(series.points || [], function (point) {
+                // Points hidden through the bubble legend are not drawn, so
+                // they are only set back to the normal state
+                if (band && series.isZHidden(point.z)) {
+                    return;
+                }
+                point.setState(
+                    !band ? '' :
+                        point.z >= band.from && point.z < band.to ?
+                            'hover' :
+                            'inactive'
+                );
+            });
+        });
+    },
 
-        if (!bubbleLegend.symbols) {
-            bubbleLegend.symbols = {
-                connectors: [],
-                bubbleItems: [],
-                labels: []
-            };
-        }
+    /**
+     * Show or hide points of linked bubble series with Z value in the band.
+     *
+     * @param {Object} - The from and to values of the band
+     *
+     * @private
+     */
+    toggleBand: function (band) {
+        var chart = this.chart,
+            hidden = this.isBandHidden(band);
 
-        bubbleLegend.legendSymbol = renderer.g(
-            'bubble-scale-legend-' + bubbleLegend.index
-        );
+        each(this.getLinkedSeries(), function (series) {
+            series.hiddenZRanges = H.grep(
+                series.hiddenZRanges || [],
+                function (hiddenBand) {
+                    return hiddenBand.from !== band.from ||
+                        hiddenBand.to !== band.to;
+                }
+            );
+            if (!hidden) {
+                series.hiddenZRanges.push(band);
+            }
+            series.isDirty = true;
+        });
 
-        // To enable default 'hideOverlappingLabels' method
-        bubbleLegend.legendSymbol.translateX = 0;
-        bubbleLegend.legendSymbol.translateY = 0;
+        chart.isDirtyLegend = true;
+        chart.redraw();
+    },
 
-        each(bubbleLegend.ranges, function (range) {
-            if (range.value > zThreshold) {
-                bubbleLegend.renderRange(range);
+    /**
+     * Show points of linked bubble series in all bands hidden through the
+     * bubble legend.
+     *
+     * @private
+     */
+    showHiddenBands: function () {
+        each(this.getLinkedSeries(), function (series) {
+            if (series.hiddenZRanges && series.hiddenZRanges.length) {
+                series.hiddenZRanges = [];
+                series.isDirty = true;
             }
         });
+    },
 
-        bubbleLegend.legendSymbol.add(bubbleLegend.legendGroup);
-        bubbleLegend.hideOverlappingLabels();
+    /**
+     * Check if points in the band are hidden.
+     *
+     * @param {Object} - The from and to values of the band
+     *
+     * @return {Boolean} - Whether the band is hidden
+     *
+     * @private
+     */
+    isBandHidden: function (band) {
+        var series = this.chart.series[this.options.seriesIndex];
+
+        return !!H.find(series.hiddenZRanges || [], function (hiddenBand) {
+            return hiddenBand.from === band.from && hiddenBand.to === band.to;
+        });
     },
 
     /**
-     * Render one range, consisting of bubble symbol, connector and label.
+     * Check if points in the range band are hidden through the legend.
+     *
+     * @param {Object} config - Range options
+     *
+     * @return {Boolean} - Whether the range is hidden
+     *
+     * @private
+     */
+    isRangeHidden: function (range) {
+        return this.isBandHidden(this.getRangeBand(range));
+    },
+
+    /**
+     * Get the bubble and label position of one range in the `horizontal` or
+     * `vertical` layout and move the cursor to the next range.
      *
      * @param {Object} config - Range options
+     * @param {Object} config - Label bounding box
+     *
+     * @return {Object} - Bubble center and label coordinates
      *
      * @private
      */
-    renderRange: function (range) {
+    getSeparatePosition: function (range, labelBBox) {
         var bubbleLegend = this,
-            mainRange = bubbleLegend.ranges[0],
-            legend = bubbleLegend.legend,
             options = bubbleLegend.options,
-            labelsOptions = options.labels,
-            chart = bubbleLegend.chart,
-            renderer = chart.renderer,
-            symbols = bubbleLegend.symbols,
-            labels = symbols.labels,
-            label,
-            elementCenter = range.center,
-            absoluteRadius = Math.abs(range.radius),
-            connectorDistance = options.connectorDistance,
-            labelsAlign = labelsOptions.align,
-            rtl = legend.options.rtl,
-            fontSize = labelsOptions.style.fontSize,
-            connectorLength = rtl || labelsAlign === 'left' ?
-                -connectorDistance : connectorDistance,
-            borderWidth = options.borderWidth,
-            connectorWidth = options.connectorWidth,
-            posX = mainRange.radius,
-            posY = elementCenter - absoluteRadius - borderWidth / 2 +
-                connectorWidth / 2,
-            labelY,
-            labelX,
+            mainRange = bubbleLegend.ranges[0],
             fontMetrics = bubbleLegend.fontMetrics,
-            labelMovement = fontSize / 2 - (fontMetrics.h - fontSize) / 2,
-            crispMovement = (posY % 1 ? 1 : 0.5) -
-                (connectorWidth % 2 ? 0 : 0.5);
-
-        // Set options for centered labels
-        if (labelsAlign === 'center') {
-            connectorLength = 0;  // do not use connector
-            options.connectorDistance = 0;
-            range.labelStyle.align = 'center';
-        }
+            fontSize = options.labels.style.fontSize,
+            rangeDistance = options.rangeDistance,
+            borderWidth = options.borderWidth,
+            bubbleSize = 2 * Math.abs(range.radius) + borderWidth,
+            placement = bubbleLegend.getLabelsPlacement(),
+            labelsOnLeft = placement === 'left',
+            labelAbove = placement === 'above' ? fontMetrics.h : 0,
+            cellSize,
+            position,
+            top;
 
-        labelY = posY + options.labels.y;
-        labelX = posX + connectorLength + options.labels.x;
+        if (options.layout === 'horizontal') {
+            // All bubbles share the bottom edge, labels are below them
+            cellSize = Math.max(bubbleSize, labelBBox.width);
+            position = {
+                x: bubbleLegend.cursor + cellSize / 2,
+                center: range.center,
+                labelY: mainRange.center + Math.abs(mainRange.radius) +
+                    borderWidth / 2 + fontMetrics.b
+            };
+            position.labelX = position.x;
 
-        // Render bubble symbol
-        symbols.bubbleItems.push(
-            renderer
-                .circle(
-                    posX,
-                    elementCenter + crispMovement,
-                    absoluteRadius
-                ).attr(
-                    range.bubbleStyle
-                ).addClass(
-                    'highcharts-bubble-scale-connectors ' +
-                    (options.className || '')
-                ).add(
-                    bubbleLegend.legendSymbol
-                )
-        );
+        } else {
+            // All bubbles share the vertical axis, labels are beside them
+            cellSize = Math.max(bubbleSize + labelAbove, fontMetrics.h);
+            position = {
+                x: mainRange.radius,
+                center: bubbleLegend.cursor + (cellSize + labelAbove) / 2,
+                labelX: mainRange.radius + (labelsOnLeft ? -1 : 1) *
+                    (mainRange.radius + rangeDistance)
+            };
+            position.labelY = position.center + fontSize / 2 -
+                (fontMetrics.h - fontSize) / 2;
+        }
 
-        // Render connector
-        symbols.connectors.push(
-            renderer
-                .path(renderer.crispLine(
-                    ['M', posX, posY, 'L', posX + connectorLength, posY],
-                     options.connectorWidth)
-                ).attr(
-                    range.connectorStyle
-                ).addClass(
-                    'highcharts-bubble-scale-connectors ' +
-                    (options.connectorClassName || '')
-                ).add(
-                    bubbleLegend.legendSymbol
-                )
-        );
+        // Labels just inside or above the top edge of bubbles
+        if (bubbleLegend.isLabelOnBubble()) {
+            top = position.center - Math.abs(range.radius);
+            position.labelX = position.x;
+            position.labelY = placement === 'above' ?
+                top - borderWidth / 2 - (fontMetrics.h - fontMetrics.b) :
+                top + borderWidth / 2 + fontMetrics.b;
+        }
 
-        // Render label
-        label = renderer
-            .text(
-                bubbleLegend.formatLabel(range),
-                labelX,
-                labelY + labelMovement
-            ).attr(
-                range.labelStyle
-            ).addClass(
-                'highcharts-bubble-scale-labels ' +
-                (options.labels.className || '')
-            ).add(
-                bubbleLegend.legendSymbol
-            );
+        bubbleLegend.cursor += cellSize + rangeDistance;
 
-        labels.push(label);
-        // To enable default 'hideOverlappingLabels' method
-        label.placed = true;
-        label.alignAttr = {
-            x: labelX,
-            y: labelY + labelMovement
-        };
+        return position;
     },
 
     /**
      * Get the label which takes up the most space.
      *
+     * @param {Boolean} - If defined, only labels of mirrored or not mirrored
+     *                    ranges are compared
+     *
      * @private
      */
-    getMaxLabelSize: function () {
+    getMaxLabelSize: function (mirrored) {
         var labels = this.symbols.labels,
             maxLabel,
             labelSize;
 
         each(labels, function (label) {
+            if (mirrored !== undefined && !label.mirrored !== !mirrored) {
+                return;
+            }
             labelSize = label.getBBox(true);
 
             if (maxLabel) {
@@ -597,7 +2991,55 @@ H.BubbleLegend.prototype = {
             format = options.labels.format;
 
         return format ? H.format(format, range) :
-            formatter ? formatter.call(range) : Math.round(range.value);
+            formatter ? formatter.call(range) : this.formatValue(range.value);
+    },
+
+    /**
+     * Format the range value with the decimals, prefix and suffix from label
+     * options or the bubble series tooltip. In the compact number format,
+     * large values are shortened with numeric symbols, similar to axis
+     * labels.
+     *
+     * @param {Number} - Range value
+     *
+     * @return {String} - Formatted value
+     *
+     * @private
+     */
+    formatValue: function (value) {
+        var labelsOptions = this.options.labels,
+            tooltipOptions = this.chart.series[this.options.seriesIndex]
+                .tooltipOptions || {},
+            lang = defaultOptions.lang,
+            compact = labelsOptions.numberFormat === 'compact',
+            numericSymbols = compact && lang.numericSymbols,
+            numSymMagnitude = lang.numericSymbolMagnitude || 1000,
+            i = numericSymbols && numericSymbols.length,
+            decimals = pick(
+                labelsOptions.decimals,
+                tooltipOptions.valueDecimals
+            ),
+            symbol = '',
+            multi;
+
+        // Round compact values to significant digits if decimals are not set,
+        // the full format shows the whole value
+        if (compact && decimals === undefined) {
+            value = correctFloat(value, 3);
+        }
+
+        while (i-- && !symbol) {
+            multi = Math.pow(numSymMagnitude, i + 1);
+
+            if (Math.abs(value) >= multi && numericSymbols[i] !== null) {
+                value = correctFloat(value / multi);
+                symbol = numericSymbols[i];
+            }
+        }
+
+        return pick(labelsOptions.valuePrefix, tooltipOptions.valuePrefix, '') +
+            H.numberFormat(value, pick(decimals, -1)) + symbol +
+            pick(labelsOptions.valueSuffix, tooltipOptions.valueSuffix, '');
     },
 
     /**
@@ -617,10 +3059,15 @@ H.BubbleLegend.prototype = {
 
             // Hide or show connectors
             each(symbols.labels, function (label, index) {
+                var connector = symbols.connectors[index];
+
+                if (!connector) {
+                    return;
+                }
                 if (!label.newOpacity) {
-                    symbols.connectors[index].hide();
+                    connector.hide();
                 } else if (label.newOpacity !== label.oldOpacity) {
-                    symbols.connectors[index].show();
+                    connector.show();
                 }
             });
         }
@@ -634,43 +3081,265 @@ H.BubbleLegend.prototype = {
      * @private
      */
     getRanges: function () {
-        var bubbleLegend = this.legend.bubbleLegend,
-            series = bubbleLegend.chart.series,
-            ranges,
-            rangesOptions = bubbleLegend.options.ranges,
-            minZ,
-            maxZ;
-
-        each(series, function (s) {
-            if (s.isBubble && s.zData[0] && !s.ignoreSeries) {
-                minZ = minZ ? Math.min(minZ, arrayMin(s.zData)) :
-                    arrayMin(s.zData);
-
-                maxZ = maxZ ? Math.max(maxZ, arrayMax(s.zData)) :
-                    arrayMax(s.zData);
-            }
-        });
+        var bubbleLegend = this,
+            ranges = [],
+            rangesOptions = bubbleLegend.options.userRanges,
+            extremes = bubbleLegend.getZExtremes(),
+            minZ = extremes.min,
+            maxZ = extremes.max;
 
         // Set values for ranges
         if (minZ === maxZ) {
             // Only one range if min and max values are the same.
             ranges = [{ value: maxZ }];
         } else {
-            ranges = [
-                { value: minZ },
-                { value: (minZ + maxZ) / 2 },
-                { value: maxZ }
-            ];
+            each(bubbleLegend.getAutoValues(minZ, maxZ), function (value) {
+                ranges.push({ value: value });
+            });
+        }
+
+        // Merge ranges values with user options in ascending value order,
+        // the calculated ranges are sorted by size when rendered
+        stableSort(ranges, function (a, b) {
+            return a.value - b.value;
+        });
+        each(ranges, function (range, i) {
+            if (rangesOptions && rangesOptions[i]) {
+                ranges[i] = merge(false, rangesOptions[i], range);
+            }
+        });
+
+        return ranges;
+    },
+
+    /**
+     * Get range values between the Z extremes, according to the
+     * `autoRanges` strategy.
+     *
+     * @param {Number} - Minimum Z value
+     * @param {Number} - Maximum Z value
+     *
+     * @return {Array} - Range values
+     *
+     * @private
+     */
+    getAutoValues: function (minZ, maxZ) {
+        var bubbleLegend = this,
+            strategy = bubbleLegend.options.autoRanges,
+            values;
+
+        if (typeof strategy === 'function') {
+            values = strategy.call(bubbleLegend, bubbleLegend.getZValues());
+        } else if (strategy === 'quantile') {
+            values = bubbleLegend.getQuantileValues(bubbleLegend.getZValues());
+        } else if (strategy === 'log') {
+            values = bubbleLegend.getLogValues(minZ, maxZ);
+        }
+
+        // Values which are not numbers are skipped
+        values = H.grep(values || [], isNumber);
+
+        return values.length ? values : bubbleLegend.getNiceValues(minZ, maxZ);
+    },
+
+    /**
+     * Get percentiles of the Z values, evenly distributed up to the maximum
+     * and rounded to two significant digits.
+     *
+     * @param {Array} - Z values
+     *
+     * @return {Array} - Ascending range values
+     *
+     * @private
+     */
+    getQuantileValues: function (zValues) {
+        var count = Math.max(this.options.rangesCount, 1),
+            sorted = zValues.slice().sort(function (a, b) {
+                return a - b;
+            }),
+            values = [],
+            i,
+            value;
+
+        for (i = 1; i <= count && sorted.length; i++) {
+            value = sorted[Math.ceil(i / count * sorted.length) - 1];
+            // Rounded values are kept inside the Z extremes
+            value = i === count ? value : Math.min(
+                Math.max(Number(value.toPrecision(2)), sorted[0]),
+                sorted[sorted.length - 1]
+            );
+
+            if (H.inArray(value, values) === -1) {
+                values.push(value);
+            }
+        }
+        return values;
+    },
+
+    /**
+     * Get powers of ten between the Z extremes. When there are more of them
+     * than the `rangesCount`, the biggest ones are kept evenly spaced.
+     *
+     * @param {Number} - Minimum Z value
+     * @param {Number} - Maximum Z value
+     *
+     * @return {Array} - Ascending range values
+     *
+     * @private
+     */
+    getLogValues: function (minZ, maxZ) {
+        var count = Math.max(this.options.rangesCount, 1),
+            values = [],
+            exponent,
+            minExponent,
+            step;
+
+        if (maxZ <= 0) {
+            return values;
         }
 
-        // Merge ranges values with user options
-        each(ranges, function (range, i) {
-            if (rangesOptions && rangesOptions[i]) {
-                range = merge(false, rangesOptions[i], range);
+        exponent = Math.floor(Math.log(maxZ) / Math.LN10);
+        // Powers of ten above zero only
+        minExponent = minZ > 0 ?
+            Math.ceil(correctFloat(Math.log(minZ) / Math.LN10)) :
+            exponent - count + 1;
+        step = Math.ceil((exponent - minExponent + 1) / count);
+
+        for (; exponent >= minExponent; exponent -= step) {
+            values.unshift(correctFloat(Math.pow(10, exponent)));
+        }
+        return values;
+    },
+
+    /**
+     * Get Z values of points presented by the bubble legend, filtered the
+     * same way as the Z extremes.
+     *
+     * @return {Array} - Z values
+     *
+     * @private
+     */
+    getZValues: function () {
+        var options = this.options,
+            extremes = this.getZExtremes(),
+            zValues = [];
+
+        each(this.getLinkedSeries(), function (s) {
+            if (!s.ignoreSeries) {
+                zValues = zValues.concat(
+                    s.getZData(
+                        pick(options.rangesFrom, s.options.zExtremesFrom)
+                    )
+                );
+            }
+        });
+
+        return H.grep(zValues, function (z) {
+            return z >= extremes.min && z <= extremes.max;
+        });
+    },
+
+    /**
+     * Get the Z extremes of bubble series presented by the bubble legend. The
+     * same way as in `Axis.beforePadding`, the `zMin`, `zMax` and
+     * `displayNegative` series options are taken into account, and only
+     * points inside the current extremes are used if `rangesFrom` is
+     * `visible`.
+     *
+     * @return {Object} - Min and max Z values
+     *
+     * @private
+     */
+    getZExtremes: function () {
+        var options = this.options,
+            minZ,
+            maxZ;
+
+        each(this.getLinkedSeries(), function (s) {
+            var seriesOptions = s.options,
+                zData = s.getZData(
+                    pick(options.rangesFrom, seriesOptions.zExtremesFrom)
+                );
+
+            if (zData.length && !s.ignoreSeries) {
+                minZ = pick(s.getZExtremeOption('zMin'), Math.min(
+                    pick(minZ, Number.MAX_VALUE),
+                    Math.max(
+                        arrayMin(zData),
+                        seriesOptions.displayNegative === false ?
+                            seriesOptions.zThreshold :
+                            -Number.MAX_VALUE
+                    )
+                ));
+                maxZ = pick(
+                    s.getZExtremeOption('zMax'),
+                    Math.max(pick(maxZ, -Number.MAX_VALUE), arrayMax(zData))
+                );
+            }
+        });
+
+        return { min: minZ, max: maxZ };
+    },
+
+    /**
+     * Get round values between the Z extremes, similar to axis ticks. The
+     * smallest round interval which gives no more values than the
+     * `rangesCount` is used.
+     *
+     * @param {Number} - Minimum Z value
+     * @param {Number} - Maximum Z value
+     *
+     * @return {Array} - Ascending range values
+     *
+     * @private
+     */
+    getNiceValues: function (minZ, maxZ) {
+        var count = Math.max(this.options.rangesCount, 2),
+            multiples = [1, 2, 2.5, 5],
+            magnitude = getMagnitude((maxZ - minZ) / (count - 1)),
+            i = 0,
+            interval,
+            value,
+            values;
+
+        do {
+            interval = multiples[i] * magnitude;
+            values = [];
+            value = Math.ceil(minZ / interval) * interval;
+
+            while (value <= maxZ) {
+                values.push(correctFloat(value));
+                value += interval;
             }
-        });
 
-        return ranges;
+            // Continue with the next tenfold of round numbers
+            if (++i === multiples.length) {
+                i = 0;
+                magnitude *= 10;
+            }
+        } while (values.length > count);
+
+        // Use the extremes if no round value fits between them
+        return values.length ? values : [minZ, maxZ];
+    },
+
+    /**
+     * Get bubble series presented by this bubble legend, that is all series
+     * sharing the same bubble legend owner as the main series.
+     *
+     * @return {Array} - Bubble series linked to the bubble legend
+     *
+     * @private
+     */
+    getLinkedSeries: function () {
+        var chart = this.chart,
+            owner = chart.getBubbleLegendOwner(
+                chart.series[this.options.seriesIndex]
+            );
+
+        return H.grep(chart.series, function (s) {
+            return s.isBubble && chart.getBubbleLegendOwner(s) === owner;
+        });
     },
 
     /**
@@ -726,11 +3395,28 @@ H.BubbleLegend.prototype = {
      * @private
      */
     updateRanges: function (min, max) {
-        var legend = this.legend;
+        var options = this.options,
+            previousRanges = options.ranges;
+
+        /**
+         * Get sorted values of ranges to compare them.
+         */
+        function getValues(ranges) {
+            return H.map(H.isArray(ranges) ? ranges : [], function (range) {
+                return range.value;
+            }).sort(function (a, b) {
+                return a - b;
+            }).join();
+        }
 
-        legend.options.bubbleLegend.minSize = min;
-        legend.options.bubbleLegend.maxSize = max;
-        legend.options.bubbleLegend.ranges = this.getRanges();
+        options.minSize = min;
+        options.maxSize = max;
+        options.ranges = this.getRanges();
+
+        // Bands hidden in previous ranges have no legend items to show them
+        if (getValues(options.ranges) !== getValues(previousRanges)) {
+            this.showHiddenBands();
+        }
     },
 
     /**
@@ -738,74 +3424,330 @@ H.BubbleLegend.prototype = {
      * legend sizes may differ by a few pixels, so it is necessary to correct
      * them.
      *
+     * @return {Boolean} - Whether the sizes were corrected and the legend
+     *                     needs to be rendered again
+     *
      * @private
      */
     correctSizes: function () {
-        var legend = this.legend,
-            chart = this.chart,
+        var chart = this.chart,
             bubbleSeries = chart.series[this.options.seriesIndex],
             bubbleSeriesSize = bubbleSeries.maxPxSize,
             bubbleLegendSize = this.options.maxSize;
 
         if (Math.abs(Math.ceil(bubbleSeriesSize) - bubbleLegendSize) > 1) {
             this.updateRanges(bubbleSeries.minPxSize, bubbleSeries.maxPxSize);
-            legend.render();
+            return true;
         }
+        return false;
     }
 };
 
 /**
- * Start the bubble legend creation process.
+ * Start the bubble legend creation process. The main bubble legend presents
+ * all bubble series without their own bubble legend, other ones are created
+ * for series with the `bubbleLegend` option.
  */
 addEvent(H.Legend, 'afterGetAllItems', function (e) {
     var legend = this,
-        bubbleLegend = legend.bubbleLegend,
-        legendOptions = legend.options,
-        bubbleLegendOptions = legendOptions.bubbleLegend,
-        bubbleSeriesIndex = legend.chart.getVisibleBubbleSeriesIndex();
-
-    // Remove unnecessary element
-    if (bubbleLegend && bubbleLegend.ranges) {
-        // Update bubbleLegend dimensions in each redraw
+        previousBubbleLegends = legend.bubbleLegends || [];
+
+    legend.bubbleLegends = [];
+
+    if (legend.options.enabled) {
+        // Floating bubble legends are drawn outside of the legend box
+        each(legend.chart.getBubbleLegendsOptions(false), function (item) {
+            var bubbleLegend = reuseBubbleLegend(
+                previousBubbleLegends,
+                item.options,
+                item.owner,
+                legend
+            );
+
+            if (!item.owner) {
+                legend.bubbleLegend = bubbleLegend;
+            }
+            legend.bubbleLegends.push(bubbleLegend);
+        });
+
+        each(legend.bubbleLegends, function (bubbleLegend) {
+            bubbleLegend.addToLegend(e.allItems);
+        });
+    }
+
+    // Remove unnecessary elements
+    each(previousBubbleLegends, function (bubbleLegend) {
+        if (bubbleLegend.ranges) {
+            legend.destroyItem(bubbleLegend);
+        }
+    });
+});
+
+/**
+ * Reuse the existing bubble legend of the owner to update its elements, or
+ * create a new one. The reused bubble legend is removed from the previous
+ * ones.
+ *
+ * @param {Array} - Previous bubble legends
+ * @param {Object} - Bubble legend options
+ * @param {Object} - Bubble series owning the bubble legend, if not the main one
+ * @param {Object} - The legend
+ *
+ * @return {Object} - The bubble legend
+ *
+ * @private
+ */
+function reuseBubbleLegend(previousBubbleLegends, options, owner, legend) {
+    var bubbleLegend = H.find(previousBubbleLegends, function (item) {
+        return item.owner === owner;
+    });
+
+    // Options are replaced or legend elements are destroyed on update
+    if (
+        !bubbleLegend ||
+        bubbleLegend.options !== options ||
+        !bubbleLegend.legendGroup
+    ) {
+        bubbleLegend = new H.BubbleLegend(options, legend);
+        bubbleLegend.owner = owner;
+    } else {
+        previousBubbleLegends.splice(
+            H.inArray(bubbleLegend, previousBubbleLegends),
+            1
+        );
+    }
+    return bubbleLegend;
+}
+
+/**
+ * Get options of enabled bubble legends which have a visible bubble series to
+ * present, the main one and the ones of series with their own scale.
+ *
+ * @param {Boolean} - Whether to get floating or not floating bubble legends
+ *
+ * @return {Array} - Objects with bubble legend `options` and `owner` series
+ *
+ * @private
+ */
+Chart.prototype.getBubbleLegendsOptions = function (floating) {
+    var chart = this,
+        bubbleLegendOptions = chart.options.legend.bubbleLegend,
+        bubbleSeriesIndex = chart.getVisibleBubbleSeriesIndex(),
+        owners = [],
+        items = [];
+
+    /**
+     * Add the bubble legend options if it is enabled and the series is
+     * visible.
+     */
+    function addItem(options, seriesIndex, owner) {
         if (
-            bubbleLegend.autoRanges &&
-            bubbleLegendOptions.ranges &&
-            bubbleLegendOptions.ranges[0].radius
+            seriesIndex >= 0 &&
+            options.enabled &&
+            !!(options.floating && options.floating.enabled) === floating
         ) {
-            legend.options.bubbleLegend.ranges = null;  // Reset ranges
+            options.seriesIndex = seriesIndex;
+            items.push({ options: options, owner: owner });
         }
-        legend.destroyItem(bubbleLegend);
     }
-    // Create bubble legend
-    if (bubbleSeriesIndex >= 0 &&
-            legendOptions.enabled &&
-            bubbleLegendOptions.enabled
-    ) {
-        bubbleLegendOptions.seriesIndex = bubbleSeriesIndex;
-        legend.bubbleLegend = new H.BubbleLegend(bubbleLegendOptions, legend);
-        legend.bubbleLegend.addToLegend(e.allItems);
+
+    // Main bubble legend
+    addItem(bubbleLegendOptions, bubbleSeriesIndex);
+
+    // Bubble legends of series with their own scale. Series are already
+    // destroyed when the legend is destroyed with the chart.
+    each(chart.series, function (series) {
+        var owner = series && series.isBubble &&
+            chart.getBubbleLegendOwner(series);
+
+        if (owner && H.inArray(owner, owners) === -1) {
+            owners.push(owner);
+            addItem(
+                owner.getBubbleLegendOptions(),
+                chart.getVisibleBubbleSeriesIndex(owner),
+                owner
+            );
+        }
+    });
+
+    return items;
+};
+
+/**
+ * Draw floating bubble legends inside the plot area after the chart is
+ * rendered or redrawn. They are drawn even if the legend is disabled.
+ */
+addEvent(Chart, 'render', function () {
+    var chart = this,
+        legend = chart.legend,
+        previousBubbleLegends = chart.floatingBubbleLegends || [];
+
+    chart.floatingBubbleLegends = [];
+
+    if (legend && legend.options) {
+        each(chart.getBubbleLegendsOptions(true), function (item) {
+            var bubbleLegend = reuseBubbleLegend(
+                previousBubbleLegends,
+                item.options,
+                item.owner,
+                legend
+            );
+
+            if (!item.owner) {
+                legend.bubbleLegend = bubbleLegend;
+            }
+            chart.floatingBubbleLegends.push(bubbleLegend);
+            bubbleLegend.renderFloating();
+        });
+    }
+
+    each(previousBubbleLegends, function (bubbleLegend) {
+        legend.destroyItem(bubbleLegend);
+    });
+});
+
+/**
+ * Remove document events of filter handles dragged while the chart is
+ * destroyed.
+ */
+addEvent(Chart, 'destroy', function () {
+    var legend = this.legend;
+
+    each(
+        ((legend && legend.bubbleLegends) || [])
+            .concat(this.floatingBubbleLegends || []),
+        function (bubbleLegend) {
+            bubbleLegend.stopFilterDrag();
+        }
+    );
+});
+
+/**
+ * Reused bubble legends are drawn again with new ranges. The default method
+ * draws the legend symbol only when the legend item is created.
+ */
+wrap(Legend.prototype, 'renderItem', function (proceed, item) {
+    if (item instanceof H.BubbleLegend && item.legendItem) {
+        item.drawLegendSymbol(this);
     }
+    proceed.apply(this, Array.prototype.slice.call(arguments, 1));
 });
 
 /**
- * Check if there is at least one visible bubble series.
+ * Get the bubble series which owns the bubble legend presenting the given
+ * series. A series owns a bubble legend when its `bubbleLegend` option is an
+ * object which is not disabled, and shares it with other series when they
+ * link to its id.
+ *
+ * @param {Object} - Bubble series
+ *
+ * @return {Object|undefined} - The owner series, or undefined for series
+ *                              presented by the main bubble legend
+ *
+ * @private
+ */
+Chart.prototype.getBubbleLegendOwner = function (series) {
+    var link = series && series.options.bubbleLegend;
+
+    if (isString(link)) {
+        series = this.get(link);
+        link = series && series.isBubble && series.options.bubbleLegend;
+    }
+    return isObject(link) && link.enabled !== false ? series : undefined;
+};
+
+/**
+ * Check if there is at least one visible bubble series presented by the
+ * bubble legend.
+ *
+ * @param {Object} - Series owning the bubble legend, the main bubble legend
+ *                   if not defined
  *
  * @return {Number || Boolean} - First visible bubble series index
  *
  * @private
  */
-Chart.prototype.getVisibleBubbleSeriesIndex = function () {
+Chart.prototype.getVisibleBubbleSeriesIndex = function (owner) {
     var series = this.series,
         i = series.length;
 
     while (i--) {
-        if (series[i].isBubble && series[i].visible && series[i].zData[0]) {
+        if (
+            series[i] &&
+            series[i].isBubble &&
+            series[i].visible &&
+            series[i].zData[0] &&
+            this.getBubbleLegendOwner(series[i]) === owner
+        ) {
             return i;
         }
     }
     return -1;
 };
 
+/**
+ * Get options for the bubble legend owned by the series. Options are kept
+ * between redraws, because calculated ranges and sizes are stored in them,
+ * and created again when series or legend options are updated. They extend
+ * the current options of the main bubble legend, without its calculated
+ * values and its enabled state.
+ *
+ * @return {Object} - Bubble legend options
+ *
+ * @private
+ */
+Series.prototype.getBubbleLegendOptions = function () {
+    var series = this,
+        chart = series.chart,
+        legendOptions = (chart.legend && chart.legend.options) ||
+            chart.options.legend,
+        mainOptions = legendOptions.bubbleLegend || {},
+        inheritedOptions;
+
+    if (
+        !series.bubbleLegendOptions ||
+        series.bubbleLegendOptions.source !== series.options.bubbleLegend
+    ) {
+        inheritedOptions = merge(mainOptions, {
+            ranges: pick(mainOptions.userRanges, mainOptions.ranges)
+        });
+        each(
+            ['enabled', 'seriesIndex', 'autoRangesEnabled', 'userRanges'],
+            function (key) {
+                delete inheritedOptions[key];
+            }
+        );
+        // Sizes of automatic ranges are calculated for the main bubble legend
+        if (mainOptions.autoRangesEnabled) {
+            delete inheritedOptions.minSize;
+            delete inheritedOptions.maxSize;
+        }
+
+        series.bubbleLegendOptions = merge(
+            defaultOptions.legend.bubbleLegend,
+            inheritedOptions,
+            { enabled: true },
+            series.options.bubbleLegend
+        );
+        series.bubbleLegendOptions.source = series.options.bubbleLegend;
+    }
+    return series.bubbleLegendOptions;
+};
+
+/**
+ * Create options of series bubble legends again when the legend options are
+ * updated, for example by `legend.update` or responsive rules.
+ */
+wrap(Legend.prototype, 'setOptions', function (proceed) {
+    proceed.apply(this, Array.prototype.slice.call(arguments, 1));
+
+    each(this.chart.series || [], function (series) {
+        if (series) {
+            series.bubbleLegendOptions = null;
+        }
+    });
+});
+
 /**
  * Calculate height for each row in legend.
  *
@@ -814,10 +3756,14 @@ Chart.prototype.getVisibleBubbleSeriesIndex = function () {
  * @private
  */
 Legend.prototype.getLinesHeights = function () {
-    var items = this.allItems,
+    var legend = this,
+        items = legend.allItems,
+        baselineAlign = legend.options.itemVerticalAlign === 'baseline',
         lines = [],
         lastLine,
         length = items.length,
+        itemBaseline,
+        descent,
         i = 0,
         j = 0;
 
@@ -826,19 +3772,33 @@ Legend.prototype.getLinesHeights = function () {
             // for bubbleLegend
             items[i].itemHeight = items[i].legendItemHeight;
         }
-        if (  // Line break
+        if (  // Line break, bubble legends spanning rows are lines alone
             items[i] === items[length - 1] ||
-            items[i + 1] &&
-            items[i]._legendItemPos[1] !==
-            items[i + 1]._legendItemPos[1]
+            items[i].spanRows ||
+            items[i + 1] && (
+                items[i + 1].spanRows ||
+                items[i]._legendItemPos[1] !==
+                items[i + 1]._legendItemPos[1]
+            )
         ) {
-            lines.push({ height: 0 });
+            lines.push({ height: 0, baseline: 0 });
             lastLine = lines[lines.length - 1];
+            descent = 0;
             // Find the highest item in line
             for (j; j <= i; j++) {
                 if (items[j].itemHeight > lastLine.height) {
                     lastLine.height = items[j].itemHeight;
                 }
+                itemBaseline = legend.getItemBaseline(items[j]);
+                lastLine.baseline = Math.max(lastLine.baseline, itemBaseline);
+                descent = Math.max(descent, items[j].itemHeight - itemBaseline);
+            }
+            // Items aligned to the baseline may take more space
+            if (baselineAlign) {
+                lastLine.height = Math.max(
+                    lastLine.height,
+                    lastLine.baseline + descent
+                );
             }
             lastLine.step = i;
         }
@@ -849,42 +3809,276 @@ Legend.prototype.getLinesHeights = function () {
 /**
  * Correct legend items translation in case of different elements heights.
  *
- * @param {Array} - Informations about line height and items amount
+ * @param {Array} - Informations about line height and items amount. Without
+ *                  lines, only the horizontal translation is corrected.
  *
  * @private
  */
 Legend.prototype.retranslateItems = function (lines) {
-    var items = this.allItems,
-        orgTranslateX,
-        orgTranslateY,
-        movementX,
-        rtl = this.options.rtl,
+    var legend = this,
+        options = legend.options,
+        items = legend.allItems,
+        itemDistance = pick(options.itemDistance, 20),
+        translateX,
+        itemX,
+        rtl = options.rtl,
         actualLine = 0;
 
     each(items, function (item, index) {
-        orgTranslateX = item.legendGroup.translateX;
-        orgTranslateY = item._legendItemPos[1];
-
-        movementX = item.movementX;
-
-        if (movementX || (rtl && item.ranges)) {
-            movementX = rtl ? orgTranslateX - item.options.maxSize / 2 :
-            orgTranslateX + movementX;
+        itemX = item._legendItemPos[0];
 
-            item.legendGroup.attr({ translateX: movementX });
-        }
-        if (index > lines[actualLine].step) {
-            actualLine++;
+        if (item instanceof H.BubbleLegend) {
+            // The content is mirrored as a whole in RTL legends, movementX
+            // is the space left of the bubbles in the content
+            translateX = (
+                rtl ?
+                    legend.legendWidth - itemX -
+                        pick(item.legendItemWidth, itemDistance) +
+                        itemDistance :
+                    itemX
+            ) + (item.movementX || 0);
+        } else {
+            // Start from the layout position, as in the positionItem method
+            translateX = rtl ?
+                legend.legendWidth - itemX - 2 * options.symbolPadding - 4 :
+                itemX;
         }
+        item.legendGroup.attr({ translateX: translateX });
 
-        item.legendGroup.attr({
-            translateY: Math.round(
-                orgTranslateY + lines[actualLine].height / 2
-            )
-        });
+        if (lines) {
+            if (index > lines[actualLine].step) {
+                actualLine++;
+            }
+            item.legendGroup.attr({
+                translateY: Math.round(
+                    item._legendItemPos[1] +
+                    legend.getItemOffsetY(item, lines[actualLine])
+                )
+            });
+        }
     });
 };
 
+/**
+ * Correct translation of legend items beside bubble legends, after the
+ * legend is rendered or laid out again.
+ *
+ * @param {Boolean} - Whether ranges of a bubble legend are calculated
+ *                    automatically
+ *
+ * @private
+ */
+Legend.prototype.retranslateBubbleLegends = function (autoRanges) {
+    var options = this.options;
+
+    if (autoRanges || options.itemVerticalAlign) {
+        this.retranslateItems(this.getLinesHeights());
+
+    } else if (options.rtl) {
+        // Bubble legends are mirrored in RTL legends
+        this.retranslateItems();
+    }
+};
+
+/**
+ * Get the vertical offset of a legend item in its line, depending on the
+ * `itemVerticalAlign` option.
+ *
+ * @param {Object} - Legend item
+ * @param {Object} - Line of the item, with its height and baseline
+ *
+ * @return {Number} - Offset of the item group from the top of the line
+ *
+ * @private
+ */
+Legend.prototype.getItemOffsetY = function (item, line) {
+    var verticalAlign = this.options.itemVerticalAlign,
+        offset = 0;
+
+    // The default offset, regardless of the item height
+    if (!verticalAlign) {
+        return line.height / 2;
+    }
+
+    if (verticalAlign === 'middle') {
+        offset = (line.height - item.itemHeight) / 2;
+    } else if (verticalAlign === 'bottom') {
+        offset = line.height - item.itemHeight;
+    } else if (verticalAlign === 'baseline') {
+        offset = line.baseline - this.getItemBaseline(item);
+    }
+
+    // Bubble legend content starts above its group origin
+    return offset - (
+        item instanceof H.BubbleLegend ? item.getContentTop() : 0
+    );
+};
+
+/**
+ * Get the baseline of a legend item, relative to the top of the item.
+ *
+ * @param {Object} - Legend item
+ *
+ * @return {Number} - The baseline of the item
+ *
+ * @private
+ */
+Legend.prototype.getItemBaseline = function (item) {
+    return item instanceof H.BubbleLegend ?
+        item.getContentBaseline() :
+        this.baseline;
+};
+
+/**
+ * Get the maximum width of legend lines, as in the layoutItem method.
+ *
+ * @param {Object} - The legend
+ *
+ * @return {Number} - The maximum width
+ *
+ * @private
+ */
+function getMaxLegendWidth(legend) {
+    var options = legend.options;
+
+    return options.width || (
+        legend.chart.spacingBox.width - 2 * legend.padding - options.x
+    );
+}
+
+/**
+ * Check if a legend item fits in the current line of a horizontal legend,
+ * as checked in the layoutItem method.
+ *
+ * @param {Object} - The legend
+ * @param {Object} - Legend item
+ * @param {Number} - Horizontal position of the item
+ *
+ * @return {Boolean} - Whether the item fits in the line
+ *
+ * @private
+ */
+function fitsLegendLine(legend, item, x) {
+    var options = legend.options,
+        maxLegendWidth = getMaxLegendWidth(legend),
+        itemWidth = (
+            options.alignColumns &&
+            legend.totalItemWidth > maxLegendWidth
+        ) ?
+            legend.maxItemWidth :
+            item.itemWidth;
+
+    return x - legend.padding + itemWidth <= maxLegendWidth;
+}
+
+/**
+ * Start a new line of a horizontal legend, if the current line is not empty.
+ * Beside a bubble legend spanning several rows, the line starts after the
+ * bubble legend if the item fits there, otherwise below the bubble legend.
+ *
+ * @param {Object} - The legend
+ * @param {Object} - Legend item which can be laid out beside a spanning
+ *                   bubble legend, if any
+ *
+ * @private
+ */
+function breakLegendLine(legend, item) {
+    var span = legend.bubbleLegendSpan,
+        margins = legend.itemMarginTop +
+            (legend.options.itemMarginBottom || 0);
+
+    if (legend.itemX > legend.padding || span) {
+        legend.itemX = legend.padding;
+        legend.itemY += margins + legend.lastLineHeight;
+        legend.lastLineHeight = 0;
+    }
+
+    if (span) {
+        if (
+            item &&
+            legend.itemY < span.bottom &&
+            fitsLegendLine(legend, item, span.x)
+        ) {
+            legend.itemX = span.x;
+        } else {
+            legend.itemY = Math.max(legend.itemY, span.bottom + margins);
+            legend.bubbleLegendSpan = null;
+        }
+    }
+}
+
+/**
+ * Lay out a bubble legend in its own line, or lay out the following items in
+ * rows beside a bubble legend spanning several rows. Lines are broken before
+ * the default method checks the legend width, so it checks items in the
+ * rows beside a spanning bubble legend at their final positions.
+ */
+wrap(Legend.prototype, 'layoutItem', function (proceed, item) {
+    var legend = this,
+        options = legend.options,
+        items = legend.allItems,
+        span,
+        lineMode = item instanceof H.BubbleLegend &&
+            options.layout === 'horizontal' ?
+            item.options.lineMode :
+            'shared';
+
+    // Reset the state of the previous layout
+    if (item === items[0]) {
+        legend.bubbleLegendSpan = null;
+        legend.bubbleLegendLineBreak = false;
+    }
+
+    // Bubble legends are laid out again from this state on update
+    if (item instanceof H.BubbleLegend) {
+        item.layoutState = {
+            itemX: legend.itemX,
+            itemY: legend.itemY,
+            lastItemY: legend.lastItemY,
+            lastLineHeight: legend.lastLineHeight,
+            offsetWidth: legend.offsetWidth,
+            bubbleLegendSpan: legend.bubbleLegendSpan,
+            bubbleLegendLineBreak: legend.bubbleLegendLineBreak
+        };
+    }
+
+    if (legend.bubbleLegendLineBreak || lineMode !== 'shared') {
+        breakLegendLine(legend);
+        legend.bubbleLegendLineBreak = false;
+
+    } else if (
+        legend.bubbleLegendSpan &&
+        !fitsLegendLine(legend, item, legend.itemX)
+    ) {
+        breakLegendLine(legend, item);
+    }
+
+    proceed.apply(legend, Array.prototype.slice.call(arguments, 1));
+
+    item.spanRows = lineMode === 'span';
+
+    if (lineMode === 'own') {
+        legend.bubbleLegendLineBreak = true;
+
+    } else if (item.spanRows) {
+        // Rows of the following items start beside the bubble legend
+        legend.bubbleLegendSpan = {
+            x: legend.itemX,
+            bottom: legend.itemY + (item.legendItemHeight || 0)
+        };
+        legend.lastLineHeight = 0;
+    }
+
+    // The legend box includes the bubble legend spanning taller rows
+    span = legend.bubbleLegendSpan;
+    if (span && item === items[items.length - 1]) {
+        legend.lastLineHeight = Math.max(
+            legend.lastLineHeight,
+            span.bottom - legend.itemY
+        );
+    }
+});
+
 /**
  * Hide or show bubble legend depending on the visible status of bubble series.
  */
@@ -895,7 +4089,13 @@ addEvent(Series, 'legendItemClick', function () {
         legend = series.chart.legend,
         status;
 
-    if (legend && legend.bubbleLegend) {
+    // Bubble legends of series with their own scale are created again
+    // depending on the series visibility
+    if (legend && series.isBubble && chart.getBubbleLegendOwner(series)) {
+        series.ignoreSeries = visible;
+        chart.isDirtyLegend = true;
+
+    } else if (legend && legend.bubbleLegend) {
         // Visible property is not set correctly yet, so temporary correct it
         series.visible = !visible;
         // Save future status for getRanges method
@@ -912,7 +4112,6 @@ addEvent(Series, 'legendItemClick', function () {
 
             legend.bubbleLegend.visible = status; // Restore default status
         }
-        legend.options.bubbleLegend.animation = true;
         series.visible = visible;
     }
 });
@@ -924,15 +4123,18 @@ addEvent(Series, 'legendItemClick', function () {
 wrap(Chart.prototype, 'drawChartBox', function (proceed, options, callback) {
     var chart = this,
         legend = chart.legend,
-        bubbleSizes;
+        bubbleLegends = (legend && legend.bubbleLegends) || [],
+        autoRangesLegends = H.grep(bubbleLegends, function (bubbleLegend) {
+            return bubbleLegend.options.autoRangesEnabled;
+        }),
+        corrected;
 
-    if (
-        legend && legend.bubbleLegend &&
-        legend.options.bubbleLegend.autoRanges
-    ) {
-        bubbleSizes = legend.bubbleLegend.predictBubbleSizes();
+    if (autoRangesLegends.length) {
+        each(autoRangesLegends, function (bubbleLegend) {
+            var bubbleSizes = bubbleLegend.predictBubbleSizes();
 
-        legend.bubbleLegend.updateRanges(bubbleSizes[0], bubbleSizes[1]);
+            bubbleLegend.updateRanges(bubbleSizes[0], bubbleSizes[1]);
+        });
         // Create legend with bubbleLegend
         legend.render();
 
@@ -949,11 +4151,39 @@ wrap(Chart.prototype, 'drawChartBox', function (proceed, options, callback) {
         proceed.call(chart, options, callback);
 
         // Check bubble legend sizes and correct them if necessary.
-        legend.bubbleLegend.correctSizes();
+        each(autoRangesLegends, function (bubbleLegend) {
+            corrected = bubbleLegend.correctSizes() || corrected;
+        });
+        if (corrected) {
+            legend.render();
+        }
         // Correct items positions with different dimensions in legend.
-        legend.retranslateItems(legend.getLinesHeights());
+        legend.retranslateBubbleLegends(true);
 
     } else {
+        // Colors of linked color axes and the map zoom are known after the
+        // axes are set, so render the legend again before the plot area
+        if (H.find(bubbleLegends, function (bubbleLegend) {
+            return bubbleLegend.dependsOnAxes();
+        })) {
+            legend.render();
+
+            chart.getMargins();
+
+            each(chart.axes, function (axis) {
+                axis.updateNames();
+                axis.setScale();
+            });
+            chart.getMargins();
+        }
+
         proceed.call(chart, options, callback);
+
+        // Align items of different heights in their lines and mirror bubble
+        // legends in RTL legends. Items are retranslated from their
+        // positions, which are set by rendering.
+        if (bubbleLegends.length) {
+            legend.retranslateBubbleLegends(false);
+        }
     }
 });
@@ -56,6 +56,22 @@ seriesType('bubble', 'scatter', {
      */
     animationLimit: 250,
 
+    /**
+     * Options for a separate bubble legend presenting the scale of this
+     * series, useful when bubble series have different `minSize` and
+     * `maxSize`. The options extend the
+     * [legend.bubbleLegend](#legend.bubbleLegend) options, and the bubble
+     * legend is enabled unless `enabled` is set to false. When given as a
+     * string, the series shares the bubble legend of the series with this
+     * id. Series without this option, or with a disabled bubble legend, are
+     * presented by the main bubble legend.
+     *
+     * @type      {Object|String}
+     * @extends   legend.bubbleLegend
+     * @since     7.0.0
+     * @apioption plotOptions.bubble.bubbleLegend
+     */
+
     /**
      * Whether to display negative sized bubbles. The threshold is given
      * by the [zThreshold](#plotOptions.bubble.zThreshold) option, and negative
@@ -96,6 +112,16 @@ seriesType('bubble', 'scatter', {
         states: {
             hover: {
                 radiusPlus: 0
+            },
+            /**
+             * The marker state of bubbles dimmed while bubbles of a bubble
+             * legend range are highlighted. The opacity is set in the
+             * [series inactive state](#plotOptions.bubble.states.inactive).
+             *
+             * @since 7.0.0
+             */
+            inactive: {
+                radiusPlus: 0
             }
         },
 
@@ -212,6 +238,18 @@ seriesType('bubble', 'scatter', {
             halo: {
                 size: 5
             }
+        },
+        /**
+         * The state of bubbles dimmed while bubbles of a bubble legend range
+         * are highlighted.
+         *
+         * @since 7.0.0
+         */
+        inactive: {
+            /**
+             * Opacity of dimmed bubbles.
+             */
+            opacity: 0.2
         }
     },
 
@@ -221,6 +259,22 @@ seriesType('bubble', 'scatter', {
 
     turboThreshold: 0,
 
+    /**
+     * Which points are used to find the Z extremes that bubbles are sized
+     * from. With `all`, all points of the series are used. With `visible`,
+     * only points inside the current X and Y axis extremes are used, so
+     * bubbles are sized again to the zoomed subset. The
+     * [zMin](#plotOptions.bubble.zMin) and [zMax](#plotOptions.bubble.zMax)
+     * options take precedence.
+     *
+     * @validvalue ["all", "visible"]
+     * @type       {String}
+     * @default    all
+     * @since      7.0.0
+     * @product    highcharts
+     * @apioption  plotOptions.bubble.zExtremesFrom
+     */
+
     /**
      * The minimum for the Z value range. Defaults to the highest Z value
      * in the data.
@@ -287,6 +341,13 @@ seriesType('bubble', 'scatter', {
             attr.fill = color(attr.fill).setOpacity(fillOpacity).get('rgba');
         }
 
+        // Dim bubbles in the inactive state, restore them in other states
+        attr.opacity = pick(
+            state && this.options.states[state] &&
+                this.options.states[state].opacity,
+            1
+        );
+
         return attr;
     },
     /*= } =*/
@@ -354,6 +415,69 @@ seriesType('bubble', 'scatter', {
         return radius;
     },
 
+    /**
+     * Get the numeric Z values of the series. When only points inside the
+     * current extremes are used, the X and Y values are compared to the
+     * extremes of zoomed axes. Map bubbles take their X and Y values from
+     * the map shapes, so the positions of points are used.
+     */
+    getZData: function (from) {
+        var series = this,
+            axes = [series.xAxis, series.yAxis],
+            points = series.xyFromShape && series.points;
+
+        return H.grep(series.zData, function (z, i) {
+            var values = points ?
+                    [points[i] && points[i].x, points[i] && points[i].y] :
+                    [series.xData[i], series.yData[i]],
+                inside = true;
+
+            if (from === 'visible') {
+                each(axes, function (axis, j) {
+                    if (
+                        axis &&
+                        (
+                            values[j] < pick(axis.userMin, -Number.MAX_VALUE) ||
+                            values[j] > pick(axis.userMax, Number.MAX_VALUE)
+                        )
+                    ) {
+                        inside = false;
+                    }
+                });
+            }
+            return isNumber(z) && inside;
+        });
+    },
+
+    /**
+     * Get the `zMin` or `zMax` option. The bubble legend filter sets the Z
+     * extremes instead, when it updates them.
+     *
+     * @param {String} - The option name, `zMin` or `zMax`
+     *
+     * @return {Number|undefined} - The Z extreme
+     */
+    getZExtremeOption: function (key) {
+        var zFilter = this.zFilter;
+
+        return zFilter && zFilter.updateExtremes ?
+            zFilter[key === 'zMin' ? 'min' : 'max'] :
+            this.options[key];
+    },
+
+    /**
+     * Check if the Z value is in one of the ranges hidden through the bubble
+     * legend, or outside of the bubble legend filter.
+     */
+    isZHidden: function (z) {
+        var zFilter = this.zFilter;
+
+        return (zFilter && (z < zFilter.min || z > zFilter.max)) ||
+            !!H.find(this.hiddenZRanges || [], function (band) {
+                return z >= band.from && z < band.to;
+            });
+    },
+
     /**
      * Perform animation on the bubbles
      */
@@ -413,7 +537,11 @@ seriesType('bubble', 'scatter', {
             point = data[i];
             radius = radii ? radii[i] : 0; // #1737
 
-            if (isNumber(radius) && radius >= this.minPxSize / 2) {
+            if (
+                isNumber(radius) &&
+                radius >= this.minPxSize / 2 &&
+                !this.isZHidden(point.z)
+            ) {
                 // Shape arguments
                 point.marker = H.extend(point.marker, {
                     radius: radius,
@@ -428,7 +556,7 @@ seriesType('bubble', 'scatter', {
                     width: 2 * radius,
                     height: 2 * radius
                 };
-            } else { // below zThreshold
+            } else { // below zThreshold or hidden through the bubble legend
                 // #1691
                 point.shapeArgs = point.plotY = point.dlBox = undefined;
             }
@@ -508,9 +636,9 @@ Axis.prototype.beforePadding = function () {
                 series.maxPxSize = Math.max(extremes.maxSize, extremes.minSize);
 
                 // Find the min and max Z
-                zData = H.grep(series.zData, H.isNumber);
+                zData = series.getZData(seriesOptions.zExtremesFrom);
                 if (zData.length) { // #1735
-                    zMin = pick(seriesOptions.zMin, Math.min(
+                    zMin = pick(series.getZExtremeOption('zMin'), Math.min(
                         zMin,
                         Math.max(
                             arrayMin(zData),
@@ -520,7 +648,7 @@ Axis.prototype.beforePadding = function () {
                         )
                     ));
                     zMax = pick(
-                        seriesOptions.zMax,
+                        series.getZExtremeOption('zMax'),
                         Math.max(zMax, arrayMax(zData))
                     );
                 }
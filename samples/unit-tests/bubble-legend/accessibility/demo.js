@@ -0,0 +1,56 @@
+QUnit.test('Bubble legend text alternative', function (assert) {
+    var chart = Highcharts.chart('container', {
+            legend: {
+                bubbleLegend: {
+                    enabled: true,
+                    animation: false,
+                    labels: {
+                        format: '<b>{value}</b> t'
+                    },
+                    ranges: [{ value: 10 }, { value: 50 }, { value: 100 }]
+                }
+            },
+            series: [{
+                type: 'bubble',
+                data: [[1, 1, 10], [2, 2, 100]]
+            }]
+        }),
+        bubbleLegend = chart.legend.bubbleLegend,
+        group = bubbleLegend.legendSymbol.element;
+
+    assert.strictEqual(
+        group.getAttribute('role'),
+        'list',
+        'The bubbles are exposed as a list'
+    );
+    assert.strictEqual(
+        group.getAttribute('aria-label'),
+        'Bubble size: 10 t to 100 t, 3 reference circles',
+        'The list is described by the smallest and the biggest range'
+    );
+    Highcharts.each(bubbleLegend.symbols.labels, function (label, i) {
+        assert.strictEqual(
+            label.element.getAttribute('role'),
+            'listitem',
+            'Range labels are list items (' + i + ')'
+        );
+    });
+    assert.strictEqual(
+        bubbleLegend.symbols.labels[0].element.getAttribute('aria-label'),
+        '100 t',
+        'Labels are read without HTML tags'
+    );
+
+    bubbleLegend.update({
+        accessibility: {
+            description: 'Tonnes of cargo'
+        }
+    });
+
+    assert.strictEqual(
+        chart.legend.bubbleLegend.legendSymbol.element
+            .getAttribute('aria-label'),
+        'Tonnes of cargo',
+        'The description option replaces the generated text'
+    );
+});
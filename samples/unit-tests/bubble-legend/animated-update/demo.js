@@ -0,0 +1,54 @@
+QUnit.test('Bubble legend elements are updated on redraw', function (assert) {
+    var chart = Highcharts.chart('container', {
+            legend: {
+                bubbleLegend: {
+                    enabled: true
+                }
+            },
+            series: [{
+                type: 'bubble',
+                data: [[1, 1, 3], [2, 2, 47], [3, 3, 97]]
+            }]
+        }),
+        bubbleLegend = chart.legend.bubbleLegend,
+        bubbleElement = bubbleLegend.symbols.bubbleItems[0].element,
+        labelElement = bubbleLegend.symbols.labels[0].element,
+        animated = 0,
+        animate = Highcharts.SVGElement.prototype.animate;
+
+    Highcharts.SVGElement.prototype.animate = function () {
+        if (this.element === bubbleElement) {
+            animated++;
+        }
+        return animate.apply(this, arguments);
+    };
+
+    chart.series[0].setData([[1, 1, 30], [2, 2, 470], [3, 3, 970]]);
+
+    Highcharts.SVGElement.prototype.animate = animate;
+
+    assert.strictEqual(
+        chart.legend.bubbleLegend,
+        bubbleLegend,
+        'The bubble legend is reused'
+    );
+    assert.strictEqual(
+        bubbleLegend.symbols.bubbleItems[0].element,
+        bubbleElement,
+        'Bubbles are updated instead of created again'
+    );
+    assert.strictEqual(
+        bubbleLegend.symbols.labels[0].element,
+        labelElement,
+        'Labels are updated instead of created again'
+    );
+    assert.strictEqual(
+        labelElement.textContent,
+        bubbleLegend.formatValue(bubbleLegend.ranges[0].value),
+        'Labels show the new range values'
+    );
+    assert.ok(
+        animated > 0,
+        'Bubbles are animated to the new sizes'
+    );
+});
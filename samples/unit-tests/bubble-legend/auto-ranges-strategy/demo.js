@@ -0,0 +1,125 @@
+QUnit.test('Strategies of automatic bubble legend ranges', function (assert) {
+    var zValues,
+        chart = Highcharts.chart('container', {
+            legend: {
+                bubbleLegend: {
+                    enabled: true,
+                    animation: false,
+                    autoRanges: 'log'
+                }
+            },
+            series: [{
+                type: 'bubble',
+                data: [
+                    [1, 1, 2], [2, 2, 30], [3, 3, 400], [4, 4, 5000]
+                ]
+            }]
+        });
+
+    /**
+     * Get the range values in ascending order.
+     */
+    function getValues() {
+        return Highcharts.map(
+            chart.legend.bubbleLegend.ranges,
+            function (range) {
+                return range.value;
+            }
+        ).sort(function (a, b) {
+            return a - b;
+        });
+    }
+
+    assert.deepEqual(
+        getValues(),
+        [10, 100, 1000],
+        'The log strategy gives powers of ten'
+    );
+
+    chart.series[0].setData([
+        [1, 1, 1], [2, 2, 2], [3, 3, 3], [4, 4, 4], [5, 5, 5],
+        [6, 6, 6], [7, 7, 7], [8, 8, 1000]
+    ]);
+    chart.legend.bubbleLegend.update({
+        autoRanges: 'quantile'
+    });
+
+    assert.ok(
+        getValues()[1] < 10,
+        'The quantile strategy follows skewed data'
+    );
+
+    chart.legend.bubbleLegend.update({
+        autoRanges: function (values) {
+            zValues = values.slice().sort(function (a, b) {
+                return a - b;
+            });
+            return [50, 500];
+        },
+        ranges: [{ color: '#ff0000' }]
+    });
+
+    assert.deepEqual(
+        zValues,
+        [1, 2, 3, 4, 5, 6, 7, 1000],
+        'The callback gets Z values of the points'
+    );
+    assert.deepEqual(
+        getValues(),
+        [50, 500],
+        'Values returned by the callback are the ranges'
+    );
+    assert.strictEqual(
+        chart.legend.bubbleLegend.ranges[1].bubbleStyle.fill,
+        '#ff0000',
+        'Range options are applied to calculated ranges in order'
+    );
+});
+
+QUnit.test('Range options of automatic ranges on redraw', function (assert) {
+    var chart = Highcharts.chart('container', {
+        legend: {
+            bubbleLegend: {
+                enabled: true,
+                animation: false,
+                rangesCount: 2,
+                ranges: [{ color: '#0000ff' }, { color: '#ff0000' }]
+            }
+        },
+        series: [{
+            type: 'bubble',
+            data: [[1, 1, 25], [2, 2, 50], [3, 3, 75]]
+        }]
+    });
+
+    /**
+     * Get the bubble colors by range values.
+     */
+    function getColors() {
+        var colors = {};
+
+        Highcharts.each(chart.legend.bubbleLegend.ranges, function (range) {
+            colors[range.value] = range.bubbleStyle.fill;
+        });
+        return colors;
+    }
+
+    assert.deepEqual(
+        getColors(),
+        { 40: '#0000ff', 60: '#ff0000' },
+        'Range options are applied in ascending value order'
+    );
+
+    chart.setSize(600, 400);
+
+    assert.deepEqual(
+        getColors(),
+        { 40: '#0000ff', 60: '#ff0000' },
+        'Each range keeps its options after a redraw'
+    );
+    assert.strictEqual(
+        chart.options.legend.bubbleLegend.userRanges[0].radius,
+        undefined,
+        'Calculated properties are not kept in the user options'
+    );
+});
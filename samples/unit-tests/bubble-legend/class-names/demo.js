@@ -0,0 +1,54 @@
+QUnit.test('Bubble legend class names', function (assert) {
+    var chart = Highcharts.chart('container', {
+            legend: {
+                bubbleLegend: {
+                    enabled: true,
+                    className: 'custom-bubble',
+                    connectorClassName: 'custom-connector',
+                    labels: {
+                        className: 'custom-label'
+                    },
+                    ranges: [{ value: -5 }, { value: 10 }, { value: 20 }]
+                }
+            },
+            series: [{
+                type: 'bubble',
+                data: [[1, 1, -5], [2, 2, 10], [3, 3, 20]]
+            }]
+        }),
+        bubbleLegend = chart.legend.bubbleLegend,
+        symbols = bubbleLegend.symbols;
+
+    /**
+     * Check if the element has the class name.
+     */
+    function hasClass(element, className) {
+        return (' ' + element.element.getAttribute('class') + ' ')
+            .indexOf(' ' + className + ' ') > -1;
+    }
+
+    Highcharts.each(bubbleLegend.ranges, function (range, i) {
+        var rangeClassName = 'highcharts-bubble-legend-range-' + i;
+
+        assert.ok(
+            hasClass(symbols.bubbleItems[i], rangeClassName) &&
+                hasClass(symbols.bubbleItems[i], 'custom-bubble'),
+            'The bubble has the range and custom class names (' + i + ')'
+        );
+        assert.ok(
+            hasClass(symbols.labels[i], rangeClassName) &&
+                hasClass(symbols.labels[i], 'custom-label'),
+            'The label has the range and custom class names (' + i + ')'
+        );
+        assert.ok(
+            hasClass(symbols.connectors[i], rangeClassName) &&
+                hasClass(symbols.connectors[i], 'custom-connector'),
+            'The connector has the range and custom class names (' + i + ')'
+        );
+        assert.strictEqual(
+            hasClass(symbols.bubbleItems[i], 'highcharts-negative'),
+            range.value < 0,
+            'Only negative ranges have the negative class name (' + i + ')'
+        );
+    });
+});
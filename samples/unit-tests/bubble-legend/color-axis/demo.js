@@ -0,0 +1,61 @@
+QUnit.test('Bubble legend linked to a color axis', function (assert) {
+    var chart = Highcharts.chart('container', {
+            colorAxis: {
+                id: 'value-colors',
+                min: 0,
+                max: 100,
+                minColor: '#ffffff',
+                maxColor: '#000000'
+            },
+            legend: {
+                bubbleLegend: {
+                    enabled: true,
+                    animation: false,
+                    colorAxis: 'value-colors',
+                    ranges: [{ value: 20 }, { value: 100 }]
+                }
+            },
+            series: [{
+                type: 'heatmap',
+                data: [[0, 0, 0], [1, 1, 100]]
+            }, {
+                type: 'bubble',
+                data: [[1, 1, 20], [2, 2, 100]]
+            }]
+        }),
+        bubbleLegend = chart.legend.bubbleLegend,
+        colorAxis = chart.colorAxis[0];
+
+    Highcharts.each(bubbleLegend.ranges, function (range) {
+        assert.strictEqual(
+            range.bubbleStyle.fill,
+            bubbleLegend.getFillColor(colorAxis.toColor(range.value)),
+            'The range is filled with the color of its value (' +
+                range.value + ')'
+        );
+    });
+    assert.notStrictEqual(
+        bubbleLegend.ranges[0].bubbleStyle.fill,
+        bubbleLegend.ranges[1].bubbleStyle.fill,
+        'Ranges of different values have different colors'
+    );
+    assert.ok(
+        Highcharts.inArray(colorAxis, chart.legend.allItems) > -1,
+        'The color axis is drawn in the legend by default'
+    );
+
+    colorAxis.update({
+        showInLegend: false
+    });
+
+    assert.strictEqual(
+        Highcharts.inArray(colorAxis, chart.legend.allItems),
+        -1,
+        'The color axis item is hidden through its showInLegend option'
+    );
+    assert.ok(
+        Highcharts.inArray(chart.legend.bubbleLegend, chart.legend.allItems) >
+            -1,
+        'The bubble legend presents sizes and colors'
+    );
+});
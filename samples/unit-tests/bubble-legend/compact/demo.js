@@ -0,0 +1,82 @@
+QUnit.test('Compact mode of the bubble legend', function (assert) {
+    var options = {
+            chart: {
+                width: 250
+            },
+            legend: {
+                bubbleLegend: {
+                    enabled: true,
+                    animation: false,
+                    ranges: [{ value: 10 }, { value: 50 }, { value: 100 }]
+                }
+            },
+            series: [{
+                type: 'bubble',
+                data: [[1, 1, 10], [2, 2, 100]]
+            }]
+        },
+        chart = Highcharts.chart('container', options),
+        bubbleLegend = chart.legend.bubbleLegend;
+
+    assert.strictEqual(
+        bubbleLegend.isCompact(),
+        false,
+        'The compact mode is disabled by default'
+    );
+    assert.strictEqual(
+        bubbleLegend.symbols.connectors.length,
+        3,
+        'All ranges have connectors'
+    );
+
+    chart = Highcharts.chart('container', Highcharts.merge(options, {
+        responsive: {
+            rules: [{
+                condition: {
+                    maxWidth: 300
+                },
+                chartOptions: {
+                    legend: {
+                        bubbleLegend: {
+                            compact: {
+                                enabled: true
+                            }
+                        }
+                    }
+                }
+            }]
+        }
+    }));
+    bubbleLegend = chart.legend.bubbleLegend;
+
+    assert.strictEqual(
+        bubbleLegend.isCompact(),
+        true,
+        'The compact mode is enabled through responsive rules'
+    );
+    assert.deepEqual(
+        Highcharts.map(
+            Highcharts.grep(bubbleLegend.ranges, function (range) {
+                return bubbleLegend.isRangeVisible(range);
+            }),
+            function (range) {
+                return range.value;
+            }
+        ),
+        [100, 10],
+        'Only the biggest and the smallest ranges are drawn'
+    );
+    assert.strictEqual(
+        bubbleLegend.symbols.connectors.length,
+        0,
+        'No connectors are drawn in the compact mode'
+    );
+
+    chart.setSize(600);
+
+    assert.strictEqual(
+        chart.legend.bubbleLegend.isCompact(),
+        false,
+        'The compact mode is not used in wide charts'
+    );
+});
@@ -0,0 +1,60 @@
+QUnit.test('Bubble legend connector appearance', function (assert) {
+    var chart = Highcharts.chart('container', {
+            legend: {
+                bubbleLegend: {
+                    enabled: true,
+                    animation: false,
+                    connectorDashStyle: 'Dash',
+                    ranges: [{ value: 10 }, { value: 95 }, { value: 100 }]
+                }
+            },
+            series: [{
+                type: 'bubble',
+                data: [[1, 1, 10], [2, 2, 100]]
+            }]
+        }),
+        bubbleLegend = chart.legend.bubbleLegend;
+
+    /**
+     * Count the commands of the connector path.
+     */
+    function countCommands(i, command) {
+        var d = bubbleLegend.symbols.connectors[i].element.getAttribute('d');
+
+        return d.split(command).length - 1;
+    }
+
+    assert.ok(
+        bubbleLegend.symbols.connectors[0].element
+            .getAttribute('stroke-dasharray'),
+        'Connectors are dashed'
+    );
+    assert.strictEqual(
+        countCommands(0, 'L'),
+        1,
+        'Straight connectors are one line'
+    );
+
+    bubbleLegend.update({
+        connectorShape: 'elbow',
+        connectorMarker: 'tick'
+    });
+    bubbleLegend = chart.legend.bubbleLegend;
+
+    assert.strictEqual(
+        countCommands(0, 'M'),
+        2,
+        'A tick is drawn at the label end of connectors'
+    );
+    assert.strictEqual(
+        countCommands(0, 'L'),
+        4,
+        'Elbow connectors have a knee'
+    );
+    assert.ok(
+        bubbleLegend.symbols.labels[1].attr('y') -
+            bubbleLegend.symbols.labels[0].attr('y') >=
+            bubbleLegend.fontMetrics.h,
+        'Labels of elbow connectors are evenly spaced'
+    );
+});
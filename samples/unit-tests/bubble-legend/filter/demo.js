@@ -0,0 +1,153 @@
+QUnit.test('Bubble legend size filter', function (assert) {
+    var chart = Highcharts.chart('container', {
+            legend: {
+                bubbleLegend: {
+                    enabled: true,
+                    animation: false,
+                    filter: {
+                        enabled: true,
+                        redrawInterval: 0,
+                        updateExtremes: true
+                    }
+                }
+            },
+            series: [{
+                type: 'bubble',
+                data: [[1, 1, 1], [2, 2, 5], [3, 3, 10], [4, 4, 20]]
+            }]
+        }),
+        series = chart.series[0],
+        bubbleLegend = chart.legend.bubbleLegend,
+        handle = bubbleLegend.symbols.filterHandles[1],
+        scaleExtremes = bubbleLegend.getScaleExtremes(),
+        y = handle.attr('y') + chart.legend.group.translateY;
+
+    /**
+     * Fire a mouse event at the vertical position.
+     */
+    function mouse(element, type, chartY) {
+        element.dispatchEvent(new MouseEvent(type, {
+            bubbles: true,
+            cancelable: true,
+            clientX: 10,
+            clientY: chartY
+        }));
+    }
+
+    assert.strictEqual(
+        bubbleLegend.symbols.filterHandles.length,
+        2,
+        'Min and max filter handles are drawn'
+    );
+
+    mouse(handle.element, 'mousedown', y);
+    mouse(document, 'mousemove', y + 15);
+
+    assert.ok(
+        series.zFilter.max < 20,
+        'Dragging the max handle down lowers the filter max'
+    );
+    assert.strictEqual(
+        series.points[3].plotY,
+        undefined,
+        'Bubbles above the filter max are hidden while dragging'
+    );
+    assert.deepEqual(
+        bubbleLegend.getScaleExtremes(),
+        scaleExtremes,
+        'The bubble legend scale is kept while dragging'
+    );
+
+    mouse(document, 'mouseup', y + 15);
+    bubbleLegend = chart.legend.bubbleLegend;
+
+    assert.strictEqual(
+        bubbleLegend.getZExtremes().max,
+        series.zFilter.max,
+        'The filter values are used as the Z extremes after the drop'
+    );
+    assert.strictEqual(
+        series.userOptions.zMax,
+        undefined,
+        'Series options are not changed by the filter'
+    );
+
+    bubbleLegend.resetFilter();
+
+    assert.strictEqual(
+        series.zFilter,
+        null,
+        'The filter is cleared'
+    );
+    assert.deepEqual(
+        chart.legend.bubbleLegend.getZExtremes(),
+        { min: 1, max: 20 },
+        'The Z extremes are reset'
+    );
+    assert.ok(
+        series.points[3].plotY !== undefined,
+        'All bubbles are shown after the reset'
+    );
+});
+
+QUnit.test('Chart destroyed while dragging a filter handle', function (assert) {
+    var chart = Highcharts.chart('container', {
+            legend: {
+                bubbleLegend: {
+                    enabled: true,
+                    animation: false,
+                    filter: {
+                        enabled: true,
+                        redrawInterval: 0
+                    }
+                }
+            },
+            series: [{
+                type: 'bubble',
+                data: [[1, 1, 1], [2, 2, 5], [3, 3, 10], [4, 4, 20]]
+            }]
+        }),
+        bubbleLegend = chart.legend.bubbleLegend,
+        handle = bubbleLegend.symbols.filterHandles[1],
+        y = handle.attr('y') + chart.legend.group.translateY,
+        error;
+
+    /**
+     * Fire a mouse event at the vertical position.
+     */
+    function mouse(element, type, chartY) {
+        element.dispatchEvent(new MouseEvent(type, {
+            bubbles: true,
+            cancelable: true,
+            clientX: 10,
+            clientY: chartY
+        }));
+    }
+
+    mouse(handle.element, 'mousedown', y);
+    chart.destroy();
+
+    assert.strictEqual(
+        bubbleLegend.filterUnbinders.length,
+        0,
+        'Document events of the drag are removed'
+    );
+
+    /**
+     * Keep errors of event listeners, which are not thrown to the caller.
+     */
+    function onError(e) {
+        error = e.error;
+    }
+
+    window.addEventListener('error', onError);
+    mouse(document, 'mousemove', y + 15);
+    mouse(document, 'mouseup', y + 15);
+    window.removeEventListener('error', onError);
+
+    assert.strictEqual(
+        error,
+        undefined,
+        'Moving the mouse after the chart is destroyed does not fail'
+    );
+});
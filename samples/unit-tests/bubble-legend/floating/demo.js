@@ -0,0 +1,65 @@
+QUnit.test('Floating bubble legend in the plot area', function (assert) {
+    var chart = Highcharts.chart('container', {
+            legend: {
+                enabled: false,
+                bubbleLegend: {
+                    enabled: true,
+                    animation: false,
+                    floating: {
+                        enabled: true,
+                        align: 'left',
+                        verticalAlign: 'top',
+                        x: 10,
+                        y: 10
+                    },
+                    ranges: [{ value: 10 }, { value: 100 }]
+                }
+            },
+            series: [{
+                type: 'bubble',
+                data: [[1, 1, 10], [2, 2, 100]]
+            }]
+        }),
+        bubbleLegend = chart.floatingBubbleLegends[0],
+        group;
+
+    assert.ok(
+        bubbleLegend,
+        'The floating bubble legend is drawn when the legend is disabled'
+    );
+
+    group = bubbleLegend.legendGroup;
+
+    assert.strictEqual(
+        bubbleLegend.symbols.bubbleItems.length,
+        2,
+        'Ranges are drawn'
+    );
+    assert.ok(
+        group.translateX >= chart.plotLeft + 10 &&
+            group.translateY >= chart.plotTop + 10,
+        'The bubble legend is aligned inside the plot area'
+    );
+    assert.ok(
+        group.translateX + bubbleLegend.legendItemWidth <=
+            chart.plotLeft + chart.plotWidth &&
+            group.translateY + bubbleLegend.legendItemHeight <=
+                chart.plotTop + chart.plotHeight,
+        'The bubble legend fits in the plot area'
+    );
+
+    chart.update({
+        legend: {
+            enabled: true
+        }
+    });
+
+    assert.strictEqual(
+        Highcharts.inArray(
+            chart.floatingBubbleLegends[0],
+            chart.legend.allItems
+        ),
+        -1,
+        'The floating bubble legend is not a legend item'
+    );
+});
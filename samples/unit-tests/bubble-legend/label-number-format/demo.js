@@ -0,0 +1,62 @@
+QUnit.test('Bubble legend label number format', function (assert) {
+    var chart = Highcharts.chart('container', {
+            legend: {
+                bubbleLegend: {
+                    enabled: true
+                }
+            },
+            series: [{
+                type: 'bubble',
+                tooltip: {
+                    valuePrefix: '$'
+                },
+                data: [[1, 1, 1500], [2, 2, 2500000]]
+            }]
+        }),
+        bubbleLegend = chart.legend.bubbleLegend;
+
+    assert.strictEqual(
+        bubbleLegend.formatValue(2500000),
+        '$2.5M',
+        'Large values are shortened with numeric symbols'
+    );
+    assert.strictEqual(
+        bubbleLegend.formatValue(1234.5678),
+        '$1.23k',
+        'Values are rounded to three significant digits'
+    );
+
+    bubbleLegend.update({
+        labels: {
+            numberFormat: 'full',
+            decimals: 1,
+            valuePrefix: '',
+            valueSuffix: ' people'
+        }
+    });
+    bubbleLegend = chart.legend.bubbleLegend;
+
+    assert.strictEqual(
+        bubbleLegend.formatValue(1234.5678),
+        '1 234.6 people',
+        'The full format uses the decimals, prefix and suffix options'
+    );
+    assert.strictEqual(
+        bubbleLegend.symbols.labels[0].element.textContent,
+        bubbleLegend.formatValue(bubbleLegend.ranges[0].value),
+        'Labels are formatted with the label options'
+    );
+
+    bubbleLegend.update({
+        labels: {
+            decimals: null
+        }
+    });
+    bubbleLegend = chart.legend.bubbleLegend;
+
+    assert.strictEqual(
+        bubbleLegend.formatValue(1234567),
+        '1 234 567 people',
+        'The full format shows the whole value'
+    );
+});
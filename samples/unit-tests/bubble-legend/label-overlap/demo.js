@@ -0,0 +1,50 @@
+QUnit.test('Colliding bubble legend labels', function (assert) {
+    var chart = Highcharts.chart('container', {
+            legend: {
+                bubbleLegend: {
+                    enabled: true,
+                    animation: false,
+                    labels: {
+                        overlap: 'alternate'
+                    },
+                    ranges: [{ value: 10 }, { value: 95 }, { value: 100 }]
+                }
+            },
+            series: [{
+                type: 'bubble',
+                data: [[1, 1, 1], [2, 2, 100]]
+            }]
+        }),
+        bubbleLegend = chart.legend.bubbleLegend;
+
+    assert.deepEqual(
+        Highcharts.map(bubbleLegend.ranges, function (range) {
+            return range.mirrored;
+        }),
+        [false, true, false],
+        'Colliding labels alternate between the sides of the bubbles'
+    );
+    assert.ok(
+        bubbleLegend.symbols.labels[1].attr('x') <
+            bubbleLegend.symbols.bubbleItems[1].attr('x'),
+        'The alternated label is on the left side'
+    );
+
+    bubbleLegend.update({
+        labels: {
+            overlap: 'stagger'
+        }
+    });
+    bubbleLegend = chart.legend.bubbleLegend;
+
+    assert.ok(
+        bubbleLegend.ranges[1].labelOffset > 0,
+        'The colliding label is moved down'
+    );
+    assert.ok(
+        bubbleLegend.symbols.labels[1].attr('y') -
+            bubbleLegend.symbols.labels[0].attr('y') >=
+            bubbleLegend.fontMetrics.h,
+        'Staggered labels are at least one line apart'
+    );
+});
@@ -0,0 +1,67 @@
+QUnit.test('Bubble legend labels on the bubbles', function (assert) {
+    var chart = Highcharts.chart('container', {
+            legend: {
+                bubbleLegend: {
+                    enabled: true,
+                    animation: false,
+                    labels: {
+                        align: 'inside-top'
+                    },
+                    ranges: [{ value: 10 }, { value: 50 }, { value: 100 }]
+                }
+            },
+            series: [{
+                type: 'bubble',
+                data: [[1, 1, 10], [2, 2, 100]]
+            }]
+        }),
+        bubbleLegend = chart.legend.bubbleLegend,
+        symbols = bubbleLegend.symbols;
+
+    /**
+     * Get the top edge and the horizontal center of the bubble.
+     */
+    function getBubbleBox(i) {
+        var bubble = symbols.bubbleItems[i];
+
+        return {
+            top: bubble.attr('y'),
+            center: bubble.attr('x') + bubble.attr('width') / 2
+        };
+    }
+
+    assert.strictEqual(
+        symbols.connectors.length,
+        0,
+        'No connectors are drawn for labels inside the bubbles'
+    );
+    Highcharts.each(symbols.labels, function (label, i) {
+        var box = getBubbleBox(i);
+
+        assert.ok(
+            label.attr('y') > box.top,
+            'The label is inside the top edge of the bubble (' + i + ')'
+        );
+        assert.strictEqual(
+            label.attr('x'),
+            box.center,
+            'The label is centered on the bubble (' + i + ')'
+        );
+    });
+
+    bubbleLegend.update({
+        layout: 'horizontal',
+        labels: {
+            align: 'above'
+        }
+    });
+    bubbleLegend = chart.legend.bubbleLegend;
+    symbols = bubbleLegend.symbols;
+
+    Highcharts.each(symbols.labels, function (label, i) {
+        assert.ok(
+            label.attr('y') <= getBubbleBox(i).top,
+            'The label is above the top edge of the bubble (' + i + ')'
+        );
+    });
+});
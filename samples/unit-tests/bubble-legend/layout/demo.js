@@ -0,0 +1,83 @@
+QUnit.test('Bubble legend layouts', function (assert) {
+    var chart = Highcharts.chart('container', {
+            legend: {
+                bubbleLegend: {
+                    enabled: true,
+                    animation: false,
+                    layout: 'horizontal',
+                    ranges: [{ value: 2 }, { value: 6 }, { value: 10 }]
+                }
+            },
+            series: [{
+                type: 'bubble',
+                data: [[1, 1, 1], [2, 2, 5], [3, 3, 10]]
+            }]
+        }),
+        bubbleLegend = chart.legend.bubbleLegend,
+        bubbles = bubbleLegend.symbols.bubbleItems,
+        bubblesRight,
+        i;
+
+    assert.strictEqual(
+        bubbles.length,
+        3,
+        'All ranges are drawn in the horizontal layout'
+    );
+    assert.strictEqual(
+        bubbleLegend.symbols.connectors.length,
+        0,
+        'Bubbles in the horizontal layout have no connectors'
+    );
+    for (i = 1; i < bubbles.length; i++) {
+        assert.ok(
+            bubbles[i].attr('x') >=
+                bubbles[i - 1].attr('x') + bubbles[i - 1].attr('width'),
+            'Bubbles are drawn side by side, from the smallest one (' +
+                i + ')'
+        );
+    }
+
+    bubbleLegend.update({
+        layout: 'vertical'
+    });
+    bubbleLegend = chart.legend.bubbleLegend;
+    bubbles = bubbleLegend.symbols.bubbleItems;
+
+    for (i = 1; i < bubbles.length; i++) {
+        assert.ok(
+            bubbles[i].attr('y') >=
+                bubbles[i - 1].attr('y') + bubbles[i - 1].attr('height'),
+            'Bubbles are drawn one below another in the vertical layout (' +
+                i + ')'
+        );
+    }
+
+    bubbleLegend.update({
+        labels: {
+            align: 'center',
+            valueSuffix: ' thousand inhabitants'
+        }
+    });
+    bubbleLegend = chart.legend.bubbleLegend;
+    bubblesRight = Math.max.apply(null, Highcharts.map(
+        bubbleLegend.symbols.bubbleItems,
+        function (bubble) {
+            return bubble.attr('x') + bubble.attr('width');
+        }
+    ));
+
+    Highcharts.each(bubbleLegend.symbols.labels, function (label, i) {
+        var labelX = label.attr('x');
+
+        assert.ok(
+            labelX >= bubblesRight &&
+                label.element.getAttribute('text-anchor') === 'start',
+            'Wide centered labels are beside the bubbles in the vertical ' +
+                'layout (' + i + ')'
+        );
+        assert.ok(
+            labelX + label.getBBox().width <= bubbleLegend.legendItemWidth,
+            'Space is reserved for wide labels (' + i + ')'
+        );
+    });
+});
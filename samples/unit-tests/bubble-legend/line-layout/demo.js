@@ -0,0 +1,80 @@
+QUnit.test('Bubble legend in legend lines', function (assert) {
+    var series = [{
+            type: 'bubble',
+            data: [[1, 1, 10], [2, 2, 100]]
+        }],
+        chart,
+        bubbleLegend,
+        items,
+        i;
+
+    for (i = 0; i < 8; i++) {
+        series.push({
+            name: 'Series number ' + i,
+            data: [1, 2]
+        });
+    }
+
+    chart = Highcharts.chart('container', {
+        legend: {
+            bubbleLegend: {
+                enabled: true,
+                animation: false,
+                lineMode: 'own',
+                ranges: [{ value: 10 }, { value: 100 }]
+            }
+        },
+        series: series
+    });
+    bubbleLegend = chart.legend.bubbleLegend;
+    items = chart.legend.allItems;
+
+    assert.strictEqual(
+        items[0],
+        bubbleLegend,
+        'The bubble legend is the first legend item'
+    );
+    assert.ok(
+        items[1].legendGroup.translateY >=
+            bubbleLegend.legendGroup.translateY +
+                bubbleLegend.legendItemHeight,
+        'In the own mode, other items are below the bubble legend'
+    );
+
+    chart.legend.update({
+        bubbleLegend: {
+            lineMode: 'span'
+        }
+    });
+    bubbleLegend = chart.legend.bubbleLegend;
+    items = chart.legend.allItems;
+
+    assert.ok(
+        items[1].legendGroup.translateX >=
+            bubbleLegend.legendGroup.translateX + bubbleLegend.itemWidth &&
+            items[4].legendGroup.translateX ===
+                items[1].legendGroup.translateX,
+        'In the span mode, rows of other items start beside the bubble legend'
+    );
+    assert.ok(
+        items[4].legendGroup.translateY > items[1].legendGroup.translateY,
+        'In the span mode, other items are laid out in rows'
+    );
+
+    chart.legend.update({
+        itemVerticalAlign: 'bottom',
+        bubbleLegend: {
+            lineMode: 'shared'
+        }
+    });
+    bubbleLegend = chart.legend.bubbleLegend;
+    items = chart.legend.allItems;
+
+    assert.close(
+        bubbleLegend.legendGroup.translateY + bubbleLegend.getContentTop() +
+            bubbleLegend.legendItemHeight,
+        items[1].legendGroup.translateY + items[1].itemHeight,
+        1,
+        'Bottom edges of items in a line are aligned'
+    );
+});
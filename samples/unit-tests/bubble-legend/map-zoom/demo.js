@@ -0,0 +1,72 @@
+QUnit.test('Bubble legend of mapbubble series', function (assert) {
+    var mapData = [{
+            'hc-key': 'a',
+            path: 'M0,0 L100,0 L100,100 L0,100 Z'
+        }, {
+            'hc-key': 'b',
+            path: 'M100,0 L200,0 L200,100 L100,100 Z'
+        }],
+        chart = Highcharts.mapChart('container', {
+            legend: {
+                bubbleLegend: {
+                    enabled: true,
+                    animation: false,
+                    minSize: 10,
+                    maxSize: 60,
+                    ranges: [{ value: 10 }, { value: 100 }]
+                }
+            },
+            series: [{
+                mapData: mapData,
+                joinBy: 'hc-key',
+                data: [['a', 1], ['b', 2]]
+            }, {
+                type: 'mapbubble',
+                mapData: mapData,
+                joinBy: 'hc-key',
+                minSize: 10,
+                maxSize: 60,
+                data: [{ 'hc-key': 'a', z: 10 }, { 'hc-key': 'b', z: 100 }]
+            }]
+        }),
+        bubbleLegend = chart.legend.bubbleLegend,
+        points = chart.series[1].points;
+
+    assert.strictEqual(
+        bubbleLegend.options.seriesIndex,
+        1,
+        'The bubble legend presents the mapbubble series'
+    );
+    assert.deepEqual(
+        Highcharts.map(bubbleLegend.ranges, function (range) {
+            return range.radius;
+        }),
+        [points[1].marker.radius, points[0].marker.radius],
+        'Ranges are sized as map bubbles of the same values'
+    );
+
+    chart.mapZoom(0.5);
+
+    assert.strictEqual(
+        chart.legend.bubbleLegend.ranges[0].radius,
+        points[1].marker.radius,
+        'Ranges are not scaled with the map zoom by default'
+    );
+
+    chart.legend.bubbleLegend.update({
+        scaleWithMapZoom: true
+    });
+
+    assert.strictEqual(
+        chart.legend.bubbleLegend.ranges[0].radius,
+        2 * points[1].marker.radius,
+        'Ranges are scaled with the map zoom'
+    );
+    assert.strictEqual(
+        chart.legend.bubbleLegend.getRadiusValue(
+            chart.legend.bubbleLegend.ranges[1].radius
+        ),
+        10,
+        'Values of radii follow the map zoom'
+    );
+});
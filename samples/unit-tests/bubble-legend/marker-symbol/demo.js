@@ -0,0 +1,41 @@
+QUnit.test('Bubble legend follows the series marker symbol', function (assert) {
+    var chart = Highcharts.chart('container', {
+            legend: {
+                bubbleLegend: {
+                    enabled: true,
+                    animation: false
+                }
+            },
+            series: [{
+                type: 'bubble',
+                data: [[1, 1, 1], [2, 2, 5], [3, 3, 10]]
+            }]
+        }),
+        bubbleLegend = chart.legend.bubbleLegend;
+
+    assert.strictEqual(
+        bubbleLegend.symbols.bubbleItems[0].bubbleSymbol,
+        'circle',
+        'Bubbles are circles by default'
+    );
+
+    chart.series[0].update({
+        marker: {
+            symbol: 'square'
+        }
+    });
+    bubbleLegend = chart.legend.bubbleLegend;
+
+    Highcharts.each(bubbleLegend.symbols.bubbleItems, function (bubble, i) {
+        assert.strictEqual(
+            bubble.bubbleSymbol,
+            'square',
+            'Bubbles use the series marker symbol (' + i + ')'
+        );
+    });
+    assert.strictEqual(
+        bubbleLegend.symbols.bubbleItems[0].attr('width'),
+        2 * Math.abs(bubbleLegend.ranges[0].radius),
+        'Symbols are sized by the range radius'
+    );
+});
@@ -0,0 +1,60 @@
+QUnit.test('Zero and negative bubble legend ranges', function (assert) {
+    var chart = Highcharts.chart('container', {
+            legend: {
+                bubbleLegend: {
+                    enabled: true,
+                    animation: false,
+                    negativeColor: '#ff0000',
+                    sizeByAbsoluteValue: true,
+                    ranges: [{ value: -50 }, { value: 0 }, { value: 50 }]
+                }
+            },
+            series: [{
+                type: 'bubble',
+                data: [[1, 1, -50], [2, 2, 0], [3, 3, 50]]
+            }]
+        }),
+        bubbleLegend = chart.legend.bubbleLegend,
+        ranges = {};
+
+    Highcharts.each(bubbleLegend.ranges, function (range) {
+        ranges[range.value] = range;
+    });
+
+    assert.strictEqual(
+        bubbleLegend.symbols.bubbleItems.length,
+        3,
+        'Zero and negative ranges are drawn'
+    );
+    assert.ok(
+        Math.abs(ranges[0].radius) > 0,
+        'The zero range is drawn with the minimum size'
+    );
+    assert.strictEqual(
+        Math.abs(ranges[-50].radius),
+        Math.abs(ranges[50].radius),
+        'Ranges are sized by absolute value'
+    );
+    assert.strictEqual(
+        ranges[-50].bubbleStyle.fill,
+        '#ff0000',
+        'Negative ranges use the negativeColor'
+    );
+
+    bubbleLegend.update({
+        splitNegative: true
+    });
+    bubbleLegend = chart.legend.bubbleLegend;
+
+    assert.ok(
+        bubbleLegend.split,
+        'Negative ranges are split from the other ones'
+    );
+    Highcharts.each(bubbleLegend.ranges, function (range) {
+        assert.strictEqual(
+            range.mirrored,
+            range.value < 0,
+            'Only negative ranges are mirrored (' + range.value + ')'
+        );
+    });
+});
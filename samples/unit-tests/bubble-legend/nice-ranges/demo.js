@@ -0,0 +1,40 @@
+QUnit.test('Round values of automatic bubble legend ranges', function (assert) {
+    var chart = Highcharts.chart('container', {
+            legend: {
+                bubbleLegend: {
+                    enabled: true
+                }
+            },
+            series: [{
+                type: 'bubble',
+                data: [[1, 1, 3], [2, 2, 47], [3, 3, 97]]
+            }]
+        }),
+        bubbleLegend = chart.legend.bubbleLegend,
+        values = Highcharts.map(bubbleLegend.ranges, function (range) {
+            return range.value;
+        }).sort(function (a, b) {
+            return a - b;
+        });
+
+    assert.deepEqual(
+        values,
+        [25, 50, 75],
+        'Ranges are round values between the Z extremes'
+    );
+
+    bubbleLegend.update({
+        rangesCount: 5
+    });
+    values = Highcharts.map(chart.legend.bubbleLegend.ranges, function (r) {
+        return r.value;
+    }).sort(function (a, b) {
+        return a - b;
+    });
+
+    assert.deepEqual(
+        values,
+        [20, 40, 60, 80],
+        'The rangesCount option sets the maximum number of ranges'
+    );
+});
@@ -0,0 +1,160 @@
+QUnit.test('Highlight and toggle bubbles by legend ranges', function (assert) {
+    var hoveredPoints,
+        chart = Highcharts.chart('container', {
+            legend: {
+                bubbleLegend: {
+                    enabled: true,
+                    animation: false,
+                    ranges: [{ value: 10 }, { value: 50 }, { value: 100 }],
+                    events: {
+                        rangeMouseOver: function (e) {
+                            hoveredPoints = e.points;
+                        }
+                    }
+                }
+            },
+            series: [{
+                type: 'bubble',
+                data: [[1, 1, 20], [2, 2, 60], [3, 3, 70], [4, 4, 120]]
+            }]
+        }),
+        bubbleLegend = chart.legend.bubbleLegend,
+        points = chart.series[0].points;
+
+    /**
+     * Get the bubble of the range with the given value.
+     */
+    function getBubble(value) {
+        var i = Highcharts.inArray(
+            value,
+            Highcharts.map(bubbleLegend.ranges, function (range) {
+                return range.value;
+            })
+        );
+        return bubbleLegend.symbols.bubbleItems[i].element;
+    }
+
+    Highcharts.fireEvent(getBubble(50), 'mouseover');
+
+    assert.deepEqual(
+        Highcharts.map(hoveredPoints, function (point) {
+            return point.index;
+        }),
+        [1, 2],
+        'The rangeMouseOver event gets points from the range to the next one'
+    );
+    assert.deepEqual(
+        Highcharts.map(points, function (point) {
+            return point.state;
+        }),
+        ['inactive', 'hover', 'hover', 'inactive'],
+        'Points in the range band are highlighted'
+    );
+
+    Highcharts.fireEvent(getBubble(50), 'mouseout');
+
+    assert.deepEqual(
+        Highcharts.map(points, function (point) {
+            return point.state;
+        }),
+        ['', '', '', ''],
+        'Points are set back to the normal state'
+    );
+
+    Highcharts.fireEvent(getBubble(50), 'click');
+    bubbleLegend = chart.legend.bubbleLegend;
+
+    assert.ok(
+        points[1].plotY === undefined && points[2].plotY === undefined,
+        'Clicking a range hides bubbles in its band'
+    );
+    assert.ok(
+        bubbleLegend.isRangeHidden(bubbleLegend.ranges[1]),
+        'The range is marked as hidden'
+    );
+
+    Highcharts.fireEvent(getBubble(10), 'mouseover');
+
+    assert.deepEqual(
+        Highcharts.map(points, function (point) {
+            return point.state;
+        }),
+        ['hover', '', '', 'inactive'],
+        'Hidden bubbles are not set to the inactive state'
+    );
+
+    Highcharts.fireEvent(getBubble(10), 'mouseout');
+    Highcharts.fireEvent(getBubble(50), 'click');
+
+    assert.ok(
+        points[1].plotY !== undefined && points[2].plotY !== undefined,
+        'Clicking the range again shows the bubbles'
+    );
+});
+
+QUnit.test('Hidden bands of automatic ranges', function (assert) {
+    var chart = Highcharts.chart('container', {
+            legend: {
+                bubbleLegend: {
+                    enabled: true,
+                    animation: false
+                }
+            },
+            series: [{
+                type: 'bubble',
+                data: [[1, 1, 10], [2, 2, 30], [3, 3, 50], [4, 4, 100]]
+            }]
+        }),
+        series = chart.series[0];
+
+    /**
+     * Click the bubble of the smallest range.
+     */
+    function clickSmallestRange() {
+        var bubbleItems = chart.legend.bubbleLegend.symbols.bubbleItems;
+
+        Highcharts.fireEvent(
+            bubbleItems[bubbleItems.length - 1].element,
+            'click'
+        );
+    }
+
+    /**
+     * Get the number of points hidden through the bubble legend.
+     */
+    function getHiddenCount() {
+        return Highcharts.grep(series.points, function (point) {
+            return point.plotY === undefined;
+        }).length;
+    }
+
+    clickSmallestRange();
+
+    assert.ok(
+        getHiddenCount() > 0,
+        'Clicking a range hides bubbles in its band'
+    );
+
+    series.setData([[1, 1, 1], [2, 2, 2], [3, 3, 4]]);
+
+    assert.strictEqual(
+        getHiddenCount(),
+        0,
+        'Bubbles are shown when ranges are calculated again'
+    );
+    assert.notOk(
+        Highcharts.find(chart.legend.bubbleLegend.ranges, function (range) {
+            return chart.legend.bubbleLegend.isRangeHidden(range);
+        }),
+        'No new range is marked as hidden'
+    );
+
+    clickSmallestRange();
+    chart.legend.bubbleLegend.resetFilter();
+
+    assert.strictEqual(
+        getHiddenCount(),
+        0,
+        'Resetting the filter shows the hidden bands'
+    );
+});
@@ -0,0 +1,48 @@
+QUnit.test('Bubble legend ranges from visible points', function (assert) {
+    var chart = Highcharts.chart('container', {
+            legend: {
+                bubbleLegend: {
+                    enabled: true,
+                    animation: false,
+                    rangesFrom: 'visible'
+                }
+            },
+            series: [{
+                type: 'bubble',
+                data: [
+                    [1, 1, 10], [2, 2, 20], [3, 3, 30],
+                    [10, 4, 1000], [11, 5, 2000]
+                ]
+            }]
+        }),
+        bubbleLegend = chart.legend.bubbleLegend;
+
+    assert.deepEqual(
+        bubbleLegend.getZExtremes(),
+        { min: 10, max: 2000 },
+        'All points are used without zoom'
+    );
+
+    chart.xAxis[0].setExtremes(0, 4);
+    bubbleLegend = chart.legend.bubbleLegend;
+
+    assert.deepEqual(
+        bubbleLegend.getZExtremes(),
+        { min: 10, max: 30 },
+        'Only points in the zoomed range are used'
+    );
+    assert.ok(
+        bubbleLegend.ranges[0].value <= 30,
+        'The biggest range follows the zoomed points'
+    );
+
+    bubbleLegend.update({
+        rangesFrom: 'all'
+    });
+
+    assert.deepEqual(
+        chart.legend.bubbleLegend.getZExtremes(),
+        { min: 10, max: 2000 },
+        'All points are used with rangesFrom set to all'
+    );
+});
@@ -0,0 +1,44 @@
+QUnit.test('Bubble legend in RTL legends', function (assert) {
+    var chart = Highcharts.chart('container', {
+            legend: {
+                rtl: true,
+                bubbleLegend: {
+                    enabled: true,
+                    animation: false,
+                    ranges: [{ value: 10 }, { value: 100 }]
+                }
+            },
+            series: [{
+                type: 'bubble',
+                data: [[1, 1, 10], [2, 2, 100]]
+            }, {
+                data: [1, 2]
+            }]
+        }),
+        legend = chart.legend,
+        bubbleLegend = legend.bubbleLegend,
+        symbols = bubbleLegend.symbols,
+        x = bubbleLegend.legendGroup.translateX;
+
+    assert.ok(
+        x > legend.allItems[1].legendGroup.translateX &&
+            x > legend.allItems[2].legendGroup.translateX,
+        'The first legend item, the bubble legend, is on the right'
+    );
+    assert.strictEqual(
+        bubbleLegend.getLabelsPlacement(),
+        'left',
+        'The labels alignment is mirrored'
+    );
+    Highcharts.each(symbols.labels, function (label, i) {
+        assert.ok(
+            label.attr('x') < symbols.bubbleItems[i].attr('x'),
+            'The label is on the left side of the bubbles (' + i + ')'
+        );
+    });
+    assert.ok(
+        x + symbols.bubbleItems[0].attr('x') +
+            symbols.bubbleItems[0].attr('width') <= legend.legendWidth,
+        'The bubble legend fits in the legend box'
+    );
+});
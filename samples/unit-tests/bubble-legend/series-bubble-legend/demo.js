@@ -0,0 +1,126 @@
+QUnit.test('Bubble legends of series with their own scale', function (assert) {
+    var chart = Highcharts.chart('container', {
+            legend: {
+                bubbleLegend: {
+                    enabled: true
+                }
+            },
+            series: [{
+                type: 'bubble',
+                data: [[1, 1, 1], [2, 2, 5]]
+            }, {
+                type: 'bubble',
+                id: 'own-scale',
+                bubbleLegend: {
+                    enabled: true
+                },
+                data: [[1, 3, 100], [2, 4, 500]]
+            }, {
+                type: 'bubble',
+                bubbleLegend: 'own-scale',
+                data: [[3, 3, 200]]
+            }]
+        }),
+        legend = chart.legend,
+        ownBubbleLegend;
+
+    assert.strictEqual(
+        legend.bubbleLegends.length,
+        2,
+        'The main bubble legend and the series bubble legend are created'
+    );
+    assert.strictEqual(
+        legend.bubbleLegend.getLinkedSeries().length,
+        1,
+        'The main bubble legend presents series without their own scale'
+    );
+
+    ownBubbleLegend = legend.bubbleLegends[1];
+    assert.strictEqual(
+        ownBubbleLegend.owner,
+        chart.series[1],
+        'The series bubble legend is owned by its series'
+    );
+    assert.deepEqual(
+        Highcharts.map(ownBubbleLegend.getLinkedSeries(), function (s) {
+            return s.index;
+        }),
+        [1, 2],
+        'Series linked by id share the series bubble legend'
+    );
+
+    chart.series[1].hide();
+    assert.strictEqual(
+        legend.bubbleLegends[1].options.seriesIndex,
+        2,
+        'The series bubble legend is sized by a visible linked series'
+    );
+
+    chart.series[2].hide();
+    assert.strictEqual(
+        legend.bubbleLegends.length,
+        1,
+        'The series bubble legend is removed when its series are hidden'
+    );
+});
+
+QUnit.test('Series bubble legend options', function (assert) {
+    var chart = Highcharts.chart('container', {
+            legend: {
+                bubbleLegend: {
+                    enabled: true,
+                    animation: false
+                }
+            },
+            series: [{
+                type: 'bubble',
+                data: [[1, 1, 1], [2, 2, 5]]
+            }, {
+                type: 'bubble',
+                bubbleLegend: {
+                    enabled: false
+                },
+                data: [[1, 3, 2], [2, 4, 4]]
+            }, {
+                type: 'bubble',
+                bubbleLegend: {
+                    maxSize: 40
+                },
+                data: [[1, 3, 100], [2, 4, 500]]
+            }]
+        }),
+        legend = chart.legend;
+
+    assert.deepEqual(
+        Highcharts.map(legend.bubbleLegend.getLinkedSeries(), function (s) {
+            return s.index;
+        }),
+        [0, 1],
+        'A series with a disabled bubble legend is presented by the main one'
+    );
+    assert.strictEqual(
+        legend.bubbleLegends.length,
+        2,
+        'A series bubble legend is enabled by its options object'
+    );
+
+    legend.update({
+        bubbleLegend: {
+            labels: {
+                valueSuffix: ' kg'
+            }
+        }
+    });
+
+    assert.ok(
+        /kg$/.test(
+            legend.bubbleLegends[1].symbols.labels[0].element.textContent
+        ),
+        'The series bubble legend extends the updated legend options'
+    );
+    assert.strictEqual(
+        legend.bubbleLegends[1].options.ranges[0].value % 100,
+        0,
+        'Calculated ranges of the main bubble legend are not inherited'
+    );
+});
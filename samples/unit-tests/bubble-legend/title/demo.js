@@ -0,0 +1,59 @@
+QUnit.test('Bubble legend title', function (assert) {
+    var chart = Highcharts.chart('container', {
+            legend: {
+                bubbleLegend: {
+                    enabled: true,
+                    animation: false,
+                    ranges: [{ value: 10 }, { value: 100 }]
+                }
+            },
+            series: [{
+                type: 'bubble',
+                data: [[1, 1, 10], [2, 2, 100]]
+            }]
+        }),
+        bubbleLegend = chart.legend.bubbleLegend,
+        itemHeight = bubbleLegend.legendItemHeight,
+        title;
+
+    assert.strictEqual(
+        bubbleLegend.symbols.title,
+        undefined,
+        'No title by default'
+    );
+
+    bubbleLegend.update({
+        title: {
+            text: 'Population (millions)'
+        }
+    });
+    bubbleLegend = chart.legend.bubbleLegend;
+    title = bubbleLegend.symbols.title;
+
+    assert.strictEqual(
+        title.element.textContent,
+        'Population (millions)',
+        'The title is drawn'
+    );
+    assert.ok(
+        bubbleLegend.titleHeight > 0 &&
+            bubbleLegend.legendItemHeight === itemHeight +
+                bubbleLegend.titleHeight,
+        'The legend item is higher by the title height'
+    );
+    assert.ok(
+        title.attr('y') <= bubbleLegend.symbols.bubbleItems[0].attr('y'),
+        'The title is above the bubbles'
+    );
+
+    bubbleLegend.update({
+        title: {
+            text: null
+        }
+    });
+
+    assert.notOk(
+        chart.legend.bubbleLegend.symbols.title,
+        'The title is removed'
+    );
+});
@@ -0,0 +1,88 @@
+QUnit.test('Bubble legend update and destroy', function (assert) {
+    var redraws = 0,
+        chart = Highcharts.chart('container', {
+            chart: {
+                events: {
+                    redraw: function () {
+                        redraws++;
+                    }
+                }
+            },
+            legend: {
+                bubbleLegend: {
+                    enabled: true,
+                    animation: false,
+                    ranges: [{ value: 10 }, { value: 50 }, { value: 100 }]
+                }
+            },
+            series: [{
+                type: 'bubble',
+                data: [[1, 1, 10], [2, 2, 100]]
+            }, {
+                type: 'line',
+                data: [1, 2, 3]
+            }]
+        }),
+        bubbleLegend = chart.legend.bubbleLegend,
+        plotHeight = chart.plotHeight;
+
+    bubbleLegend.update({
+        borderWidth: 3
+    });
+
+    assert.strictEqual(
+        redraws,
+        0,
+        'The chart is not redrawn when the legend size is kept'
+    );
+    assert.strictEqual(
+        Number(bubbleLegend.symbols.bubbleItems[0].element
+            .getAttribute('stroke-width')),
+        3,
+        'The bubble legend is updated in place'
+    );
+
+    bubbleLegend.update({
+        maxSize: 100
+    });
+
+    assert.strictEqual(
+        redraws,
+        1,
+        'The chart is redrawn when the legend size changes'
+    );
+    assert.ok(
+        chart.plotHeight < plotHeight,
+        'The plot area is resized for the bigger legend'
+    );
+
+    chart.legend.update({
+        itemDistance: 30
+    });
+
+    bubbleLegend = chart.legend.bubbleLegend;
+
+    assert.strictEqual(
+        bubbleLegend.options.maxSize,
+        100,
+        'Updated options are kept when the legend is updated'
+    );
+
+    bubbleLegend.destroy();
+
+    assert.strictEqual(
+        chart.legend.bubbleLegend,
+        undefined,
+        'The bubble legend is removed'
+    );
+    assert.strictEqual(
+        Highcharts.inArray(bubbleLegend, chart.legend.allItems),
+        -1,
+        'The bubble legend is removed from the legend items'
+    );
+    assert.strictEqual(
+        chart.userOptions.legend.bubbleLegend.enabled,
+        true,
+        'User options are not changed by destroy'
+    );
+});
@@ -0,0 +1,47 @@
+QUnit.test('Bubble legend sizes from the series Z extremes', function (assert) {
+    var chart = Highcharts.chart('container', {
+            legend: {
+                bubbleLegend: {
+                    enabled: true,
+                    minSize: 10,
+                    maxSize: 60,
+                    ranges: [{ value: 100 }]
+                }
+            },
+            series: [{
+                type: 'bubble',
+                minSize: 10,
+                maxSize: 60,
+                zMin: 0,
+                zMax: 200,
+                data: [[1, 1, 10], [2, 2, 100]]
+            }]
+        }),
+        bubbleLegend = chart.legend.bubbleLegend,
+        point = chart.series[0].points[1];
+
+    assert.deepEqual(
+        bubbleLegend.getZExtremes(),
+        { min: 0, max: 200 },
+        'The zMin and zMax series options are the bubble legend extremes'
+    );
+    assert.close(
+        bubbleLegend.ranges[0].radius,
+        point.marker.radius,
+        1,
+        'A range is sized as a bubble of the same value'
+    );
+
+    chart.series[0].update({
+        zMin: undefined,
+        zMax: undefined,
+        displayNegative: false,
+        data: [[1, 1, -50], [2, 2, 10], [3, 3, 100]]
+    });
+
+    assert.deepEqual(
+        chart.legend.bubbleLegend.getZExtremes(),
+        { min: 0, max: 100 },
+        'Negative values are ignored when displayNegative is false'
+    );
+});